@@ -0,0 +1,1063 @@
+// core.js (tour dates, pick locks, scoring, slot templates, the song catalog, standings,
+// consensus and pick rules: no I/O; server.js fills the caches from the store)
+
+// ---------- Tour dates ----------
+// Picks lock at startTime (first set, venue-local) unless a date overrides it
+const SHOW_DEFAULTS = { startTime: '20:00', timeZone: 'America/New_York' };
+
+// In-process copy of the store so lock checks stay synchronous
+const tourDates = new Map(); // id -> record
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function slugify(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)/g, '');
+}
+
+// "May 7–9, 2026 — Viva El Gonzo (San José del Cabo, Baja California)"
+function tourDateTitle(rec) {
+  const [y, m, d] = rec.date.split('-').map(Number);
+  let when = `${MONTHS[m - 1]} ${d}`;
+  if (rec.endDate && rec.endDate !== rec.date) {
+    const [, em, ed] = rec.endDate.split('-').map(Number);
+    when += em === m ? `–${ed}` : `–${MONTHS[em - 1]} ${ed}`;
+  }
+
+  let what = rec.venue;
+  if (rec.show) what += ` (${rec.show === 'early' ? 'Early' : 'Late'} Show)`;
+  if (rec.multiNightPass) {
+    const nights = rec.endDate ? Math.round((Date.parse(rec.endDate) - Date.parse(rec.date)) / 86400000) + 1 : 1;
+    what += ` ${nights}-Night Pass`;
+  }
+
+  const where = [rec.city, rec.region || (rec.country !== 'US' ? rec.country : '')].filter(Boolean).join(', ');
+  return `${when}, ${y} — ${what} (${where})`;
+}
+
+function isTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// YYYY-MM-DD naming a real day (no 2030-13-45 or Feb 30)
+function isCalendarDate(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+  const [y, m, d] = date.split('-').map(Number);
+  const day = new Date(Date.UTC(y, m - 1, d));
+  return day.getUTCFullYear() === y && day.getUTCMonth() === m - 1 && day.getUTCDate() === d;
+}
+
+// Validate + clean an admin-submitted tour date. Throws on bad input.
+function cleanTourDate(input) {
+  const text = (key, max = 120) => {
+    const val = String(input?.[key] ?? '').trim();
+    if (val.length > max) throw new Error(`${key} too long`);
+    return val;
+  };
+
+  const date = text('date', 10);
+  if (!isCalendarDate(date)) throw new Error('date must be a real YYYY-MM-DD day');
+  const endDate = text('endDate', 10) || null;
+  if (endDate && (!isCalendarDate(endDate) || endDate < date)) throw new Error('endDate must be a real YYYY-MM-DD day on or after date');
+
+  const venue = text('venue');
+  const city = text('city');
+  if (!venue || !city) throw new Error('venue and city are required');
+
+  const show = text('show').toLowerCase() || null;
+  if (show && show !== 'early' && show !== 'late') throw new Error('show must be early, late or empty');
+
+  const startTime = text('startTime', 5) || SHOW_DEFAULTS.startTime;
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(startTime)) throw new Error('startTime must be HH:MM');
+  const timeZone = text('timeZone', 64) || SHOW_DEFAULTS.timeZone;
+  if (!isTimeZone(timeZone)) throw new Error(`Unknown time zone "${timeZone}"`);
+
+  return {
+    date,
+    endDate,
+    venue,
+    city,
+    region: text('region', 60),
+    country: text('country', 60).toUpperCase() || 'US',
+    show,
+    multiNightPass: !!input.multiNightPass,
+    festival: !!input.festival,
+    startTime,
+    timeZone,
+    cancelled: !!input.cancelled,
+    hidden: !!input.hidden,
+    pickRules: cleanPickRules(input.pickRules),
+    slotTemplate: cleanSlotTemplate(input.slotTemplate),
+  };
+}
+
+// "2026-07-10-honolulu-hi-blue-note-hawaii-late", suffixed until unique
+function newTourDateId(rec) {
+  const base = [
+    rec.date, slugify(rec.city), slugify(rec.region), slugify(rec.venue),
+    rec.show, rec.multiNightPass ? 'pass' : '',
+  ].filter(Boolean).join('-');
+  let id = base;
+  for (let n = 2; tourDates.has(id); n++) id = `${base}-${n}`;
+  return id;
+}
+
+function findTourDate(id) {
+  return tourDates.get(id) || null;
+}
+
+// Sorted by date, early shows before late ones
+function sortedTourDates({ includeHidden = false } = {}) {
+  const showOrder = { early: 0, late: 1 };
+  return [...tourDates.values()]
+    .filter(t => includeHidden || !t.hidden)
+    .sort((a, b) =>
+      a.date.localeCompare(b.date) ||
+      (showOrder[a.show] ?? 0) - (showOrder[b.show] ?? 0) ||
+      a.id.localeCompare(b.id));
+}
+
+function withTitle(rec) {
+  return { ...rec, title: tourDateTitle(rec) };
+}
+
+
+// ---------- Pick lock ----------
+function sessionDate(sessionId) {
+  const d = String(sessionId || '').slice(0, 10);
+  return /^\d{4}-\d{2}-\d{2}$/.test(d) ? d : null;
+}
+
+// ms to add to a UTC instant to get wall-clock time in timeZone
+function timeZoneOffset(ts, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(new Date(ts));
+  const get = type => Number(parts.find(p => p.type === type).value);
+  const wall = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return wall - Math.floor(ts / 1000) * 1000;
+}
+
+// "2026-07-10" + "21:00" in Pacific/Honolulu -> Date (UTC instant)
+function zonedTime(date, time, timeZone) {
+  const [y, m, d] = date.split('-').map(Number);
+  const [hh, mm] = time.split(':').map(Number);
+  const wall = Date.UTC(y, m - 1, d, hh, mm);
+  // second pass settles the offset when the first guess crosses a DST change
+  const first = wall - timeZoneOffset(wall, timeZone);
+  return new Date(wall - timeZoneOffset(first, timeZone));
+}
+
+// { lockAt, startTime, timeZone, locked } or null for sessions without a date. A listed
+// show's own date wins over the one in its id (admins can move a show).
+function sessionLock(sessionId, now = Date.now()) {
+  const show = findTourDate(sessionId) || {};
+  const date = show.date ?? sessionDate(sessionId);
+  if (!date) return null;
+
+  const startTime = show.startTime || SHOW_DEFAULTS.startTime;
+  const timeZone = show.timeZone || SHOW_DEFAULTS.timeZone;
+  const lockAt = zonedTime(date, startTime, timeZone);
+
+  return { lockAt: lockAt.toISOString(), startTime, timeZone, locked: now >= lockAt.getTime() };
+}
+
+function lockMessage(lock) {
+  const at = new Intl.DateTimeFormat('en-US', {
+    timeZone: lock.timeZone,
+    month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short',
+  }).format(new Date(lock.lockAt));
+  return `Picks are locked — this show started ${at}.`;
+}
+
+// userSongs rewound to lockAt using the pick history: slots changed after lock go back to
+// their last logged value before it. Slots with no later history (older picks, restored
+// boards) are left as they are.
+function boardsAtLock(userSongs, history, lockAt) {
+  const boards = structuredClone(userSongs);
+  const byUser = new Map();
+  for (const entry of history) {
+    if (!byUser.has(entry.username)) byUser.set(entry.username, []);
+    byUser.get(entry.username).push(entry);
+  }
+
+  for (const [username, entries] of byUser) {
+    const before = entries.filter(e => e.at <= lockAt);
+    const after = entries.filter(e => e.at > lockAt);
+    if (!after.length) continue;
+
+    const board = boards[username] || {};
+    const touched = new Set(after.map(e => e.slot).filter(Boolean));
+    if (after.some(e => e.action === 'clear-all')) {
+      Object.keys(board).forEach(slot => touched.add(slot));
+      before.forEach(e => e.slot && touched.add(e.slot));
+    }
+
+    const atLock = {};
+    for (const e of before) {
+      if (e.action === 'clear-all') for (const slot of Object.keys(atLock)) delete atLock[slot];
+      else if (e.action === 'clear') delete atLock[e.slot];
+      else atLock[e.slot] = e.value;
+    }
+    for (const slot of touched) {
+      if (slot in atLock) board[slot] = atLock[slot];
+      else delete board[slot];
+    }
+
+    if (Object.keys(board).length) boards[username] = board;
+    else delete boards[username];
+  }
+  return boards;
+}
+
+// ---------- Setlists + scoring ----------
+// Default weights; slot templates override them
+const SCORE_POINTS = {
+  exact: 3,   // song landed in the exact slot that was picked
+  played: 1,  // song was played, just not where it was picked
+  encore: 3,  // encore slot pick was played in the encore
+  cover: 3,   // cover slot pick was played as a cover
+  bustout: 5, // bustout slot pick was played and marked as a bustout
+};
+
+const MAX_SETLIST_SONGS = 60;
+
+// "Funk-E-Zekial" / "funk e zekial " -> "funk e zekial"
+function normalizeSongName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// One setlist entry; segue = the band went straight into it from the song before ("A > B"),
+// set = which main set it was in (null when unknown or in the encore)
+function cleanSetlistSong(entry, label = 'Song') {
+  const name = String((typeof entry === 'string' ? entry : entry?.name) || '').trim();
+  if (!name) throw new Error(`${label} is missing a name`);
+  if (name.length > 120) throw new Error(`${label} name too long`);
+  const set = Number(entry?.set);
+  return {
+    name,
+    encore: !!entry?.encore,
+    cover: !!entry?.cover,
+    bustout: !!entry?.bustout,
+    segue: !!entry?.segue,
+    set: !entry?.encore && Number.isInteger(set) && set >= 1 && set <= 9 ? set : null,
+  };
+}
+
+// Validate + clean an admin-submitted setlist. Throws on bad input.
+function cleanSetlist(input) {
+  const rawSongs = Array.isArray(input?.songs) ? input.songs : null;
+  if (!rawSongs) throw new Error('Setlist must have a songs array');
+  if (rawSongs.length > MAX_SETLIST_SONGS) throw new Error('Too many songs');
+
+  const songs = rawSongs.map((entry, i) => cleanSetlistSong(entry, `Song #${i + 1}`));
+  if (songs.length) songs[0].segue = false;
+
+  return { songs, updatedAt: new Date().toISOString() };
+}
+
+// Fan-style setlist text -> { songs, unmatched } for the admin to check before saving:
+//   "Set 1: Landing > Funk E Zekial, Julia | Set 2: ... | Encore: Stay"
+// Sets split on "|" or new lines, songs on "," or ">" / "->" (a segue). "(cover)" or a
+// catalog cover marks a cover, "(bustout)" a bustout; footnote marks (*, ^) are dropped.
+function parseSetlistText(text) {
+  const songs = [];
+  const unmatched = [];
+  let set = 1;
+  let encore = false;
+  let segue = false;
+
+  for (const chunk of String(text || '').split(/\s*(?:\||\r?\n)\s*/)) {
+    let body = chunk.trim();
+    if (!body) continue;
+
+    const label = body.match(/^(?:set\s*(\d+)|(e(?:ncore)?)\s*\d*)\s*:\s*/i);
+    if (label) {
+      if (label[1]) {
+        set = Number(label[1]);
+        encore = false;
+      } else {
+        encore = true;
+      }
+      body = body.slice(label[0].length);
+    }
+
+    for (const token of body.split(/\s*(,|->|>)\s*/)) {
+      if (token === ',') continue;
+      if (token === '>' || token === '->') {
+        segue = true;
+        continue;
+      }
+
+      let name = token.replace(/[*^†]+$/, '').trim();
+      const cover = /\([^)]*\bcover\)/i.test(name);
+      const bustout = /\(bustout\)/i.test(name);
+      name = name.replace(/\s*\((?:[^)]*\bcover|bustout)\)/gi, '').trim();
+      if (!name) continue;
+
+      const match = matchSong(name);
+      if (!match && !unmatched.includes(name)) unmatched.push(name);
+      songs.push(cleanSetlistSong({
+        name: match ? match.song.name : name,
+        encore,
+        cover: cover || !!match?.song.cover,
+        bustout,
+        segue: segue && songs.length > 0,
+        set,
+      }));
+      segue = false;
+    }
+  }
+
+  if (songs.length > MAX_SETLIST_SONGS) throw new Error('Too many songs');
+  return { songs, unmatched };
+}
+
+// slot: a template slot; songs without a set number count as set 1
+function scorePick(slot, value, setlist, points = SCORE_POINTS) {
+  const pick = songKey(value);
+  const songs = setlist.songs || [];
+  const played = songs.filter(s => songKey(s.name) === pick);
+  if (!pick || played.length === 0) return { result: 'miss', points: 0 };
+
+  if (slot.kind === 'position') {
+    const set = songs.filter(s => !s.encore && (slot.set === null || (s.set || 1) === slot.set));
+    const atSlot = set.at(slot.position);
+    if (atSlot && songKey(atSlot.name) === pick) {
+      return { result: 'exact', points: points.exact };
+    }
+  } else if (slot.kind !== 'any' && played.some(s => s[slot.kind])) {
+    return { result: slot.kind, points: points[slot.kind] };
+  }
+
+  return { result: 'played', points: points.played };
+}
+
+// Adds state.setlist + state.scores ({ user -> { total, hits, slots } }); picks in
+// slots the template doesn't have (it changed after picking) don't count
+function attachScores(state, setlist, template = slotTemplate()) {
+  state.setlist = setlist || null;
+  state.scores = {};
+  if (!setlist) return state;
+
+  for (const { username } of state.users) {
+    const picks = state.userSongs[username] || {};
+    const entry = { total: 0, hits: 0, slots: {} };
+    for (const slot of template.slots) {
+      if (!picks[slot.name]) continue;
+      const scored = scorePick(slot, picks[slot.name], setlist, template.points);
+      entry.slots[slot.name] = scored;
+      entry.total += scored.points;
+      if (scored.points > 0) entry.hits++;
+    }
+    state.scores[username] = entry;
+  }
+  return state;
+}
+
+// ---------- Export ----------
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per board slot: username, slot, pick, result, points
+function sessionCsv(state) {
+  const rows = [['username', 'slot', 'pick', 'result', 'points']];
+  for (const { username } of state.users) {
+    const picks = state.userSongs[username] || {};
+    const scored = state.scores?.[username]?.slots || {};
+    for (const { name: slot } of state.slots) {
+      rows.push([username, slot, picks[slot] || '', scored[slot]?.result || '', scored[slot]?.points ?? '']);
+    }
+  }
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// ---------- Calendar feed ----------
+// RFC 5545 text: escape \ ; , and newlines, fold lines at 75 octets
+function icsText(value) {
+  return String(value ?? '').replace(/[\\;,]/g, c => '\\' + c).replace(/\r?\n/g, '\\n');
+}
+
+function icsFold(line) {
+  const parts = [];
+  let rest = Buffer.from(line);
+  // continuation lines start with a space, so they carry one octet less
+  while (rest.length > (parts.length ? 74 : 75)) {
+    let cut = parts.length ? 74 : 75;
+    while ((rest[cut] & 0xc0) === 0x80) cut--; // don't split a UTF-8 character
+    parts.push(rest.subarray(0, cut).toString());
+    rest = rest.subarray(cut);
+  }
+  parts.push(rest.toString());
+  return parts.join('\r\n ');
+}
+
+// 2026-07-10T01:00:00.000Z -> 20260710T010000Z
+function icsTime(iso) {
+  return iso.replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+const SHOW_LENGTH_MS = 3 * 60 * 60 * 1000;
+
+// One VEVENT per listed date: timed from the first set, or all-day for multi-night runs
+function tourCalendar(shows, baseUrl, now = new Date()) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Pigeons Setlist Picker//Tour dates//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Pigeons tour dates',
+  ];
+
+  for (const show of shows) {
+    const url = `${baseUrl}/session/${encodeURIComponent(show.id)}`;
+    const where = [show.venue, show.city, show.region || (show.country !== 'US' ? show.country : '')].filter(Boolean);
+    lines.push('BEGIN:VEVENT', `UID:${show.id}@pigeons-setlist`, `DTSTAMP:${icsTime(now.toISOString())}`);
+
+    if (show.endDate && show.endDate !== show.date) {
+      const end = new Date(Date.parse(show.endDate) + 86400000).toISOString().slice(0, 10);
+      lines.push(`DTSTART;VALUE=DATE:${show.date.replace(/-/g, '')}`, `DTEND;VALUE=DATE:${end.replace(/-/g, '')}`);
+    } else {
+      const start = sessionLock(show.id).lockAt;
+      const end = new Date(Date.parse(start) + SHOW_LENGTH_MS).toISOString();
+      lines.push(`DTSTART:${icsTime(start)}`, `DTEND:${icsTime(end)}`);
+    }
+
+    lines.push(
+      `SUMMARY:${icsText(`Pigeons — ${show.venue}`)}`,
+      `LOCATION:${icsText(where.join(', '))}`,
+      `DESCRIPTION:${icsText(`${show.title}\nMake your setlist picks: ${url}`)}`,
+      `URL:${url}`,
+    );
+    if (show.cancelled) lines.push('STATUS:CANCELLED');
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+// ---------- Share cards ----------
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function truncate(text, max) {
+  return text.length > max ? text.slice(0, max - 1) + '…' : text;
+}
+
+const CARD_RESULT_COLORS = { exact: '#22c55e', played: '#38bdf8', encore: '#a855f7', cover: '#a855f7', bustout: '#f59e0b', miss: '#64748b' };
+
+// 1200x630 (Open Graph size) SVG of one board; scored boards get the total and per-slot results
+function boardCardSvg({ title, username, slots, picks, score }) {
+  const twoColumns = slots.length > 7;
+  const rowHeight = twoColumns ? 64 : 58;
+  const rows = twoColumns ? Math.ceil(slots.length / 2) : slots.length;
+  const text = (x, y, size, fill, value, extra = '') =>
+    `<text x="${x}" y="${y}" font-size="${size}" fill="${fill}"${extra}>${escapeHtml(value)}</text>`;
+
+  const out = [
+    '<svg xmlns="http://www.w3.org/2000/svg" width="1200" height="630" viewBox="0 0 1200 630" font-family="system-ui, -apple-system, Segoe UI, sans-serif">',
+    '<rect width="1200" height="630" fill="#0f172a"/>',
+    text(60, 90, 44, '#e2e8f0', truncate(`${username}'s picks`, 36), ' font-weight="700"'),
+    text(60, 135, 24, '#94a3b8', truncate(title, 80)),
+  ];
+  if (score) {
+    out.push(text(1140, 90, 44, '#22c55e', `${score.total} pts`, ' font-weight="700" text-anchor="end"'));
+    out.push(text(1140, 135, 24, '#94a3b8', `${score.hits} hit${score.hits === 1 ? '' : 's'}`, ' text-anchor="end"'));
+  }
+
+  slots.forEach((slot, i) => {
+    const col = twoColumns ? Math.floor(i / rows) : 0;
+    const x = 60 + col * 550;
+    const y = 200 + (i % rows) * rowHeight;
+    const scored = score?.slots[slot.name];
+    const color = scored ? CARD_RESULT_COLORS[scored.result] || '#64748b' : '#334155';
+    out.push(`<rect x="${x}" y="${y - 34}" width="8" height="44" rx="4" fill="${color}"/>`);
+    out.push(text(x + 24, y - 14, 18, '#94a3b8', slot.name.toUpperCase(), ' letter-spacing="2"'));
+    const pick = picks[slot.name] || '—';
+    const points = scored?.points ? `  +${scored.points}` : '';
+    out.push(text(x + 24, y + 12, 28, '#e2e8f0', truncate(pick, twoColumns ? 28 : 60) + points, ' font-weight="600"'));
+  });
+
+  out.push(text(1140, 605, 20, '#475569', 'Pigeons Setlist Picker', ' text-anchor="end"'));
+  out.push('</svg>');
+  return out.join('\n');
+}
+
+// ---------- Slot templates ----------
+// kind 'position': a spot in a main set (set null = the whole main set, position -1 = its
+// last song). 'encore' / 'cover' / 'bustout': bonus when the song is played that way.
+// 'any': the song just has to be played.
+function positionSlot(name, position, set = null) {
+  return { name, kind: 'position', set, position };
+}
+function bonusSlot(name, kind) {
+  return { name, kind, set: null, position: null };
+}
+
+const SLOT_TEMPLATES = [
+  {
+    id: 'single-set',
+    title: 'Single set + encore',
+    slots: [
+      positionSlot('Opener', 0),
+      positionSlot('Song 2', 1),
+      positionSlot('Song 3', 2),
+      positionSlot('Song 4', 3),
+      positionSlot('Song 5', 4),
+      positionSlot('Song 6', 5),
+      bonusSlot('Encore', 'encore'),
+      bonusSlot('Cover', 'cover'),
+      bonusSlot('Bustout', 'bustout'),
+    ],
+    points: SCORE_POINTS,
+  },
+  {
+    id: 'two-sets',
+    title: 'Two sets + encore',
+    slots: [
+      positionSlot('Set 1 Opener', 0, 1),
+      positionSlot('Set 1 Closer', -1, 1),
+      positionSlot('Set 2 Opener', 0, 2),
+      positionSlot('Set 2 Closer', -1, 2),
+      bonusSlot('Anytime', 'any'),
+      bonusSlot('Encore', 'encore'),
+      bonusSlot('Cover', 'cover'),
+      bonusSlot('Bustout', 'bustout'),
+    ],
+    points: { ...SCORE_POINTS, exact: 4 },
+  },
+  {
+    // early/late club sets (Blue Note) run short
+    id: 'short-set',
+    title: 'Short set (early / late show)',
+    slots: [
+      positionSlot('Opener', 0),
+      positionSlot('Song 2', 1),
+      positionSlot('Song 3', 2),
+      positionSlot('Closer', -1),
+      bonusSlot('Encore', 'encore'),
+      bonusSlot('Cover', 'cover'),
+    ],
+    points: { ...SCORE_POINTS, encore: 2 },
+  },
+  {
+    // one set per festival day, no promise of an encore
+    id: 'festival',
+    title: 'Festival short set',
+    slots: [
+      positionSlot('Opener', 0),
+      positionSlot('Closer', -1),
+      bonusSlot('Anytime', 'any'),
+      bonusSlot('Cover', 'cover'),
+    ],
+    points: { ...SCORE_POINTS, exact: 4, played: 2 },
+  },
+];
+const DEFAULT_SLOT_TEMPLATE = 'single-set';
+
+function slotTemplate(id) {
+  return SLOT_TEMPLATES.find(t => t.id === id) || SLOT_TEMPLATES.find(t => t.id === DEFAULT_SLOT_TEMPLATE);
+}
+
+// null = the default template
+function cleanSlotTemplate(input) {
+  if (input === undefined || input === null || input === '') return null;
+  const id = String(input).trim();
+  if (!SLOT_TEMPLATES.some(t => t.id === id)) throw new Error(`Unknown slot template "${id}"`);
+  return id === DEFAULT_SLOT_TEMPLATE ? null : id;
+}
+
+function sessionTemplate(sessionId) {
+  return slotTemplate(findTourDate(sessionId)?.slotTemplate);
+}
+
+function findSlot(template, name) {
+  return template.slots.find(s => s.name === name) || null;
+}
+
+// ---------- Song catalog ----------
+// Cached like tour dates so set-song and scoring can match names synchronously
+const songCatalog = []; // song records, sorted by name (refilled in place)
+const songIndex = new Map(); // normalized name or alias -> song record
+
+const MAX_SONG_ALIASES = 20;
+
+function songRecord(rec) {
+  return {
+    name: rec.name,
+    aliases: Array.isArray(rec.aliases) ? rec.aliases : [],
+    cover: !!rec.cover,
+    originalArtist: rec.originalArtist || null,
+    debut: rec.debut || null,
+  };
+}
+
+function indexSongs(records) {
+  songCatalog.splice(0, songCatalog.length, ...records.map(songRecord));
+  songIndex.clear();
+  for (const song of songCatalog) {
+    for (const name of [song.name, ...song.aliases]) {
+      const key = normalizeSongName(name);
+      if (key && !songIndex.has(key)) songIndex.set(key, song);
+    }
+  }
+}
+
+// Validate + clean an admin-submitted song. Throws on bad input.
+function cleanSong(input) {
+  const name = String(input?.name || '').trim().replace(/\s+/g, ' ');
+  if (!name) throw new Error('Missing name');
+  if (name.length > 120) throw new Error('Name too long');
+
+  const rawAliases = typeof input.aliases === 'string' ? input.aliases.split(',') : (input.aliases || []);
+  if (!Array.isArray(rawAliases)) throw new Error('aliases must be a list');
+  const aliases = [];
+  for (const raw of rawAliases) {
+    const alias = String(raw || '').trim().replace(/\s+/g, ' ');
+    if (!alias || alias.length > 120) continue;
+    const key = normalizeSongName(alias);
+    if (key === normalizeSongName(name) || aliases.some(a => normalizeSongName(a) === key)) continue;
+    aliases.push(alias);
+  }
+  if (aliases.length > MAX_SONG_ALIASES) throw new Error('Too many aliases');
+
+  const debut = String(input.debut || '').trim();
+  if (debut && !isCalendarDate(debut)) throw new Error('debut must be a real YYYY-MM-DD day');
+
+  const originalArtist = String(input.originalArtist || '').trim();
+  if (originalArtist.length > 120) throw new Error('Original artist too long');
+
+  return songRecord({ name, aliases, cover: !!input.cover, originalArtist, debut });
+}
+
+// Levenshtein distance, bailing out once it passes max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    if (Math.min(...row) > max) return max + 1;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Typed pick -> { song, via: 'name' | 'alias' | 'fuzzy' }, or null when unknown/ambiguous
+function matchSong(value) {
+  const key = normalizeSongName(value);
+  if (!key) return null;
+
+  const direct = songIndex.get(key);
+  if (direct) return { song: direct, via: normalizeSongName(direct.name) === key ? 'name' : 'alias' };
+
+  // "FunkEZekial", "Funk E Zekiel": compare without spaces, allowing a typo or two
+  const compact = key.replace(/ /g, '');
+  const maxTypos = compact.length >= 12 ? 2 : compact.length >= 5 ? 1 : 0;
+  let best = null;
+  let bestDistance = maxTypos + 1;
+  let tied = false;
+  for (const [candidate, song] of songIndex) {
+    const distance = editDistance(compact, candidate.replace(/ /g, ''), maxTypos);
+    if (distance < bestDistance) {
+      best = song;
+      bestDistance = distance;
+      tied = false;
+    } else if (distance === bestDistance && best && song !== best) {
+      tied = true;
+    }
+  }
+  return best && !tied ? { song: best, via: 'fuzzy' } : null;
+}
+
+// Scoring key: catalog names and aliases collapse to the song's own name
+function songKey(name) {
+  const key = normalizeSongName(name);
+  const song = songIndex.get(key);
+  return song ? normalizeSongName(song.name) : key;
+}
+
+// ---------- Leaderboard ----------
+// Tour legs for filtering standings (inclusive date ranges)
+const TOUR_LEGS = [
+  { id: 'holiday-2025', title: 'Holiday Run 2025', from: '2025-12-01', to: '2025-12-31' },
+  { id: 'winter-2026', title: 'Winter Tour 2026', from: '2026-01-01', to: '2026-03-20' },
+  { id: 'spring-2026', title: 'Spring Tour 2026', from: '2026-03-21', to: '2026-05-31' },
+  { id: 'summer-2026', title: 'Summer Tour 2026', from: '2026-06-01', to: '2026-08-31' },
+];
+
+// Slots roll up into Opener / Closer / Song / Encore / Cover / Bustout for hit rates
+function slotType(slot) {
+  if (slot.kind === 'position') {
+    if (slot.position === 0) return 'Opener';
+    return slot.position === -1 ? 'Closer' : 'Song';
+  }
+  return slot.kind === 'any' ? 'Song' : slot.kind[0].toUpperCase() + slot.kind.slice(1);
+}
+
+// Tie-breakers: points, then hits, then best night, then fewer shows played
+function compareStanding(a, b) {
+  return b.total - a.total ||
+    b.hits - a.hits ||
+    (b.best?.total || 0) - (a.best?.total || 0) ||
+    a.shows - b.shows;
+}
+
+// A leg wins over from/to; the shows are the non-cancelled dates inside the range
+function showsInRange({ from, to, leg } = {}) {
+  const legInfo = TOUR_LEGS.find(l => l.id === leg);
+  const start = legInfo ? legInfo.from : from;
+  const end = legInfo ? legInfo.to : to;
+
+  const shows = sortedTourDates().map(withTitle).filter(s => {
+    const date = s.date;
+    if (s.cancelled) return false;
+    if (start && (!date || date < start)) return false;
+    if (end && (!date || date > end)) return false;
+    return true;
+  });
+  return { shows, filters: { from: start || null, to: end || null, leg: legInfo ? legInfo.id : null } };
+}
+
+// picks: [{ sessionId, username, slot, value }] -> sessionId -> username -> slot -> value
+function groupBoards(picks) {
+  const boards = new Map();
+  for (const p of picks) {
+    if (!boards.has(p.sessionId)) boards.set(p.sessionId, new Map());
+    const users = boards.get(p.sessionId);
+    if (!users.has(p.username)) users.set(p.username, {});
+    users.get(p.username)[p.slot] = p.value;
+  }
+  return boards;
+}
+
+// picks: [{ sessionId, username, slot, value }], setlists: Map(sessionId -> setlist)
+function buildLeaderboard(picks, setlists, range = {}) {
+  const { shows: inRange, filters } = showsInRange(range);
+  const shows = inRange.filter(s => setlists.has(s.id));
+  const boards = groupBoards(picks);
+
+  const players = new Map();
+  for (const show of shows) {
+    const users = boards.get(show.id);
+    if (!users) continue;
+
+    const state = {
+      users: [...users.keys()].map(username => ({ username })),
+      userSongs: Object.fromEntries(users),
+    };
+    const template = sessionTemplate(show.id);
+    attachScores(state, setlists.get(show.id), template);
+
+    for (const [username, score] of Object.entries(state.scores)) {
+      if (!players.has(username)) {
+        players.set(username, {
+          username, total: 0, shows: 0, hits: 0, picks: 0, bySlotType: {}, best: null, nights: [],
+        });
+      }
+      const player = players.get(username);
+      const night = {
+        sessionId: show.id,
+        title: show.title,
+        date: show.date,
+        total: score.total,
+        hits: score.hits,
+        slots: score.slots,
+      };
+
+      player.total += score.total;
+      player.hits += score.hits;
+      player.shows++;
+      player.nights.push(night);
+      if (!player.best || night.total > player.best.total) {
+        player.best = { sessionId: show.id, title: show.title, total: night.total };
+      }
+
+      for (const [slot, scored] of Object.entries(score.slots)) {
+        const type = slotType(findSlot(template, slot));
+        const bucket = player.bySlotType[type] || (player.bySlotType[type] = { picks: 0, hits: 0, rate: 0 });
+        bucket.picks++;
+        if (scored.points > 0) bucket.hits++;
+        player.picks++;
+      }
+    }
+  }
+
+  const standings = [...players.values()].sort((a, b) =>
+    compareStanding(a, b) || a.username.localeCompare(b.username, 'en', { sensitivity: 'base' }));
+  standings.forEach((p, i) => {
+    const prev = standings[i - 1];
+    p.rank = prev && compareStanding(prev, p) === 0 ? prev.rank : i + 1;
+    p.hitRate = p.picks ? p.hits / p.picks : 0;
+    for (const bucket of Object.values(p.bySlotType)) bucket.rate = bucket.hits / bucket.picks;
+    p.nights.sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  });
+
+  return {
+    filters,
+    legs: TOUR_LEGS,
+    shows: shows.map(s => ({ id: s.id, title: s.title })),
+    standings,
+  };
+}
+
+// ---------- Crowd consensus ----------
+// boards: Map(sessionId -> Map(username -> { slot -> value })), one session or the whole tour;
+// slotNames: the slots to rank, in order. A pick is unique when nobody else in that session
+// picked the song for that slot; a player's contrarian score is how far their picks sit from
+// everyone else's, 0-100.
+function buildConsensus(boards, slotNames) {
+  const slots = Object.fromEntries(slotNames.map(slot => [slot, new Map()])); // slot -> songKey -> entry
+  const players = new Map();
+  const unique = [];
+  let boardCount = 0;
+
+  for (const [sessionId, users] of boards) {
+    boardCount += users.size;
+
+    for (const slot of slotNames) {
+      // songKey -> usernames in this session
+      const bySong = new Map();
+      for (const [username, picks] of users) {
+        const key = songKey(picks[slot]);
+        if (!key) continue;
+        if (!bySong.has(key)) bySong.set(key, []);
+        bySong.get(key).push(username);
+
+        const tally = slots[slot];
+        if (!tally.has(key)) tally.set(key, { song: songIndex.get(key)?.name || picks[slot].trim(), count: 0, players: new Set() });
+        tally.get(key).count++;
+        tally.get(key).players.add(username);
+      }
+
+      const pickers = [...bySong.values()].reduce((n, names) => n + names.length, 0);
+      for (const [key, names] of bySong) {
+        for (const username of names) {
+          const player = players.get(username) || { username, picks: 0, unique: 0, spread: 0, compared: 0 };
+          players.set(username, player);
+          player.picks++;
+
+          const others = pickers - 1;
+          if (!others) continue; // nobody to disagree with
+          player.compared++;
+          player.spread += 1 - (names.length - 1) / others;
+          if (names.length === 1) {
+            player.unique++;
+            unique.push({ sessionId, username, slot, song: slots[slot].get(key).song });
+          }
+        }
+      }
+    }
+  }
+
+  const ranked = [...players.values()].map(({ spread, compared, ...p }) => ({
+    ...p,
+    contrarian: compared ? Math.round((spread / compared) * 100) : null,
+  }));
+  ranked.sort((a, b) => (b.contrarian ?? -1) - (a.contrarian ?? -1) ||
+    a.username.localeCompare(b.username, 'en', { sensitivity: 'base' }));
+
+  return {
+    boards: boardCount,
+    slots: Object.fromEntries(slotNames.map(slot => [slot, [...slots[slot].values()]
+      .map(e => ({ song: e.song, count: e.count, share: e.count / boardCount, players: [...e.players].sort() }))
+      .sort((a, b) => b.count - a.count || a.song.localeCompare(b.song, 'en', { sensitivity: 'base' }))])),
+    unique,
+    players: ranked,
+  };
+}
+
+// ---------- Song stats ----------
+// Play history from entered setlists (hidden dates still count; cancelled ones can't have been played)
+function buildSongStats(setlists) {
+  const shows = sortedTourDates({ includeHidden: true }).filter(s => !s.cancelled && setlists.has(s.id));
+
+  // songKey -> stats; catalog songs are listed even before their first play
+  const stats = new Map();
+  const entryFor = (name) => {
+    const key = songKey(name);
+    if (!stats.has(key)) {
+      stats.set(key, {
+        name: songIndex.get(key)?.name || name,
+        played: 0, openers: 0, encores: 0,
+        firstPlayed: null, lastPlayed: null, lastSessionId: null, lastShowIndex: null,
+      });
+    }
+    return stats.get(key);
+  };
+  for (const song of songCatalog) entryFor(song.name);
+
+  shows.forEach((show, i) => {
+    const songs = setlists.get(show.id).songs || [];
+    const opener = songs.find(s => !s.encore);
+
+    // reprises count once per show
+    const seen = new Map(); // entry -> { opened, encored }
+    for (const s of songs) {
+      const entry = entryFor(s.name);
+      const flags = seen.get(entry) || { opened: false, encored: false };
+      if (s === opener) flags.opened = true;
+      if (s.encore) flags.encored = true;
+      seen.set(entry, flags);
+    }
+
+    for (const [entry, flags] of seen) {
+      entry.played++;
+      if (flags.opened) entry.openers++;
+      if (flags.encored) entry.encores++;
+      entry.firstPlayed = entry.firstPlayed || show.date;
+      entry.lastPlayed = show.date;
+      entry.lastSessionId = show.id;
+      entry.lastShowIndex = i;
+    }
+  });
+
+  const list = [...stats.values()].map(({ lastShowIndex, ...entry }) => ({
+    ...entry,
+    // shows since it was last played (0 = played at the latest show)
+    gap: lastShowIndex === null ? null : shows.length - 1 - lastShowIndex,
+    openerRate: entry.played ? entry.openers / entry.played : 0,
+    encoreRate: entry.played ? entry.encores / entry.played : 0,
+  }));
+  list.sort((a, b) => a.name.localeCompare(b.name));
+
+  return { shows: shows.length, stats: list };
+}
+
+// ---------- Pick rules ----------
+// Per-session overrides live on the tour date (pickRules: null = defaults)
+const PICK_RULE_DEFAULTS = {
+  noDuplicates: true, // one song per board
+  coversFromCatalog: true, // Cover slot takes catalog covers only
+  bustoutMinGap: 10, // Bustout needs a gap over this many shows (null = off)
+};
+
+// Validate + clean admin-submitted rules. Throws on bad input.
+function cleanPickRules(input) {
+  if (input === undefined || input === null || input === '') return null;
+  if (typeof input !== 'object' || Array.isArray(input)) throw new Error('pickRules must be an object');
+
+  const rules = { ...PICK_RULE_DEFAULTS };
+  if ('noDuplicates' in input) rules.noDuplicates = !!input.noDuplicates;
+  if ('coversFromCatalog' in input) rules.coversFromCatalog = !!input.coversFromCatalog;
+  if ('bustoutMinGap' in input) {
+    const gap = input.bustoutMinGap;
+    if (gap === null || gap === '') {
+      rules.bustoutMinGap = null;
+    } else {
+      const n = Number(gap);
+      if (!Number.isInteger(n) || n < 0 || n > 500) throw new Error('bustoutMinGap must be a whole number of shows (0-500)');
+      rules.bustoutMinGap = n;
+    }
+  }
+  return rules;
+}
+
+function sessionRules(sessionId) {
+  const rules = { ...PICK_RULE_DEFAULTS, ...(findTourDate(sessionId)?.pickRules || {}) };
+  // older catalogs are plain names with no covers flagged; the Cover rule waits for the first one
+  if (!songCatalog.some(s => s.cover)) rules.coversFromCatalog = false;
+  return rules;
+}
+
+// Why a pick breaks the session's rules, or null when it's fine. songStats() resolves to
+// buildSongStats() output; it's only asked for on Bustout picks.
+async function pickRuleError(sessionId, board, slot, value, songStats) {
+  const rules = sessionRules(sessionId);
+  const key = songKey(value);
+  const kind = findSlot(sessionTemplate(sessionId), slot)?.kind;
+
+  if (rules.noDuplicates) {
+    const dupe = Object.entries(board).find(([other, picked]) => other !== slot && songKey(picked) === key);
+    if (dupe) return `"${value}" is already your ${dupe[0]} pick — one song per board.`;
+  }
+
+  if (kind === 'cover' && rules.coversFromCatalog && !matchSong(value)?.song.cover) {
+    return `"${value}" isn't a cover in the song list — ${slot} picks must be one.`;
+  }
+
+  if (kind === 'bustout' && rules.bustoutMinGap !== null) {
+    const { stats } = await songStats();
+    const played = stats.find(st => songKey(st.name) === key);
+    if (played && played.gap !== null && played.gap <= rules.bustoutMinGap) {
+      const when = played.gap === 0 ? 'at the last show' : `${played.gap} show${played.gap === 1 ? '' : 's'} ago`;
+      return `"${value}" was played ${when} — ${slot} picks need a gap of more than ${rules.bustoutMinGap} show${rules.bustoutMinGap === 1 ? '' : 's'}.`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  SHOW_DEFAULTS,
+  tourDates,
+  slugify,
+  tourDateTitle,
+  cleanTourDate,
+  newTourDateId,
+  findTourDate,
+  sortedTourDates,
+  withTitle,
+  sessionDate,
+  zonedTime,
+  sessionLock,
+  lockMessage,
+  boardsAtLock,
+  SCORE_POINTS,
+  MAX_SETLIST_SONGS,
+  normalizeSongName,
+  cleanSetlistSong,
+  cleanSetlist,
+  parseSetlistText,
+  scorePick,
+  attachScores,
+  sessionCsv,
+  tourCalendar,
+  escapeHtml,
+  boardCardSvg,
+  SLOT_TEMPLATES,
+  DEFAULT_SLOT_TEMPLATE,
+  slotTemplate,
+  sessionTemplate,
+  findSlot,
+  songCatalog,
+  songIndex,
+  indexSongs,
+  cleanSong,
+  matchSong,
+  songKey,
+  TOUR_LEGS,
+  showsInRange,
+  groupBoards,
+  buildLeaderboard,
+  buildConsensus,
+  buildSongStats,
+  PICK_RULE_DEFAULTS,
+  cleanPickRules,
+  sessionRules,
+  pickRuleError,
+};
@@ -0,0 +1,455 @@
+// db/firestore.js (Firestore store; also talks to the emulator via FIRESTORE_EMULATOR_HOST)
+// The collection-group username queries (renameUser, listPickHistory) need the field
+// overrides in firestore.indexes.json: `firebase deploy --only firestore:indexes`
+
+const log = require('../log');
+
+function picksDocId(username, slot) {
+  return `${username}__${slot}`.replaceAll('/', '_');
+}
+
+// Claims are keyed by normalized name: players/{key}
+function playerDocId(key) {
+  return key.replaceAll('/', '_');
+}
+
+// Pending songs are keyed the same way: songSuggestions/{key}
+function suggestionDocId(key) {
+  return key.replaceAll('/', '_');
+}
+
+function createFirestoreStore({ projectId, databaseId = '(default)' } = {}) {
+  let firestore = null;
+
+  function getFirestore() {
+    if (firestore) return firestore;
+    const { Firestore } = require('@google-cloud/firestore');
+
+    if (!projectId) {
+      throw new Error('Missing project id. Set FIREBASE_PROJECT_ID (or GCLOUD_PROJECT).');
+    }
+
+    firestore = new Firestore({ projectId, databaseId });
+    log.info('FIRESTORE', `projectId=${projectId} databaseId=${databaseId}`);
+    return firestore;
+  }
+
+  async function ensureSession(sessionId) {
+    const db = getFirestore();
+    await db.collection('sessions').doc(sessionId).set(
+      { createdAt: new Date().toISOString() },
+      { merge: true }
+    );
+  }
+
+  async function ensureUser(sessionId, username) {
+    const db = getFirestore();
+    await db.collection('sessions').doc(sessionId)
+      .collection('users').doc(username)
+      .set({ joinedAt: new Date().toISOString() }, { merge: true });
+  }
+
+  async function upsertPick(sessionId, username, slot, value, rev = 1) {
+    const db = getFirestore();
+    const docId = picksDocId(username, slot);
+    await db.collection('sessions').doc(sessionId)
+      .collection('picks').doc(docId)
+      .set({ username, slot, value, rev, updatedAt: new Date().toISOString() }, { merge: true });
+  }
+
+  // Cleared picks stay as value: null docs so their revision (rev, or one past the last) never repeats
+  async function deletePick(sessionId, username, slot, rev) {
+    const db = getFirestore();
+    const { FieldValue } = require('@google-cloud/firestore');
+    const docId = picksDocId(username, slot);
+    await db.collection('sessions').doc(sessionId)
+      .collection('picks').doc(docId)
+      .set({ username, slot, value: null, rev: rev ?? FieldValue.increment(1), updatedAt: new Date().toISOString() }, { merge: true });
+  }
+
+  async function clearBoard(sessionId, username) {
+    const db = getFirestore();
+    const picksRef = db.collection('sessions').doc(sessionId).collection('picks');
+    const snap = await picksRef.where('username', '==', username).get();
+    const updatedAt = new Date().toISOString();
+    const batch = db.batch();
+    snap.docs
+      .filter(d => d.data().value !== null)
+      .forEach(d => batch.update(d.ref, { value: null, rev: (d.data().rev || 1) + 1, updatedAt }));
+    await batch.commit();
+  }
+
+  // Drops the board entirely (users doc, picks and revisions)
+  async function removeUser(sessionId, username) {
+    const db = getFirestore();
+    const picksRef = db.collection('sessions').doc(sessionId).collection('picks');
+    const snap = await picksRef.where('username', '==', username).get();
+    const batch = db.batch();
+    snap.docs.forEach(d => batch.delete(d.ref));
+    batch.delete(db.collection('sessions').doc(sessionId).collection('users').doc(username));
+    await batch.commit();
+  }
+
+  // Host + board cap live on the session doc itself
+  async function getSessionSettings(sessionId) {
+    const db = getFirestore();
+    const doc = await db.collection('sessions').doc(sessionId).get();
+    const data = doc.exists ? doc.data() : {};
+    return { owner: data.owner || null, maxBoards: data.maxBoards || null };
+  }
+
+  async function saveSessionSettings(sessionId, { owner = null, maxBoards = null }) {
+    const db = getFirestore();
+    await db.collection('sessions').doc(sessionId).set({ owner, maxBoards }, { merge: true });
+  }
+
+  async function buildState(sessionId) {
+    const db = getFirestore();
+    const { owner } = await getSessionSettings(sessionId);
+    const state = { owner, users: [], userSongs: {}, pickRevs: {} };
+
+    const usersSnap = await db.collection('sessions').doc(sessionId).collection('users').get();
+    const users = usersSnap.docs.map(d => d.id);
+    users.sort((a, b) => a.localeCompare(b, 'en', { sensitivity: 'base' }));
+    state.users = users.map(u => ({ socketId: null, username: u }));
+
+    const picksSnap = await db.collection('sessions').doc(sessionId).collection('picks').get();
+    picksSnap.docs.forEach(d => {
+      const { username, slot, value, rev } = d.data();
+      if (!state.pickRevs[username]) state.pickRevs[username] = {};
+      state.pickRevs[username][slot] = rev || 1; // picks from before revisions
+      if (value === null) return;
+      if (!state.userSongs[username]) state.userSongs[username] = {};
+      state.userSongs[username][slot] = value;
+    });
+
+    return state;
+  }
+
+  // listDocuments also finds sessions that only exist as users/picks subcollections
+  async function listSessions() {
+    const db = getFirestore();
+    return (await db.collection('sessions').listDocuments()).map(ref => ref.id).sort();
+  }
+
+  // Every pick across sessions/*/picks in one collection-group query
+  async function allPicks() {
+    const db = getFirestore();
+    const snap = await db.collectionGroup('picks').get();
+    return snap.docs
+      .filter(d => d.data().value !== null)
+      .map(d => {
+        const { username, slot, value } = d.data();
+        return { sessionId: d.ref.parent.parent.id, username, slot, value };
+      });
+  }
+
+  // Moves boards (and hosting, and pick history) from oldName to newName in every session;
+  // newName's picks lose on conflict.
+  // User docs carry no name field, so each session is checked directly (renames are rare).
+  async function renameUser(oldName, newName) {
+    if (oldName === newName) return [];
+    const db = getFirestore();
+    const touched = new Set();
+    let batch = db.batch();
+    let ops = 0;
+
+    const queue = async (fn) => {
+      fn(batch);
+      if (++ops % 400 === 0) {
+        await batch.commit();
+        batch = db.batch();
+      }
+    };
+
+    for (const sessionRef of await db.collection('sessions').listDocuments()) {
+      const userSnap = await sessionRef.collection('users').doc(oldName).get();
+      if (!userSnap.exists) continue;
+      touched.add(sessionRef.id);
+      const newUserRef = sessionRef.collection('users').doc(newName);
+      await queue(b => b.set(newUserRef, userSnap.data(), { merge: true }));
+      await queue(b => b.delete(userSnap.ref));
+    }
+
+    const hostedSnap = await db.collection('sessions').where('owner', '==', oldName).get();
+    for (const d of hostedSnap.docs) {
+      touched.add(d.id);
+      await queue(b => b.update(d.ref, { owner: newName }));
+    }
+
+    const picksSnap = await db.collectionGroup('picks').where('username', '==', oldName).get();
+    for (const d of picksSnap.docs) {
+      const { slot, value } = d.data();
+      const sessionRef = d.ref.parent.parent;
+      touched.add(sessionRef.id);
+      const newRef = sessionRef.collection('picks').doc(picksDocId(newName, slot));
+      // picks replace newName's; cleared slots only fill in where newName has nothing
+      if (value !== null || !(await newRef.get()).exists) {
+        await queue(b => b.set(newRef, { ...d.data(), username: newName }));
+      }
+      await queue(b => b.delete(d.ref));
+    }
+
+    // the log follows the board, so locked shows still rewind it
+    const historySnap = await db.collectionGroup('pickHistory').where('username', '==', oldName).get();
+    for (const d of historySnap.docs) await queue(b => b.update(d.ref, { username: newName }));
+
+    await batch.commit();
+    return [...touched];
+  }
+
+  // renameUser for one session (a board is a handful of docs, so one batch)
+  async function renameBoard(sessionId, oldName, newName) {
+    if (oldName === newName) return;
+    const db = getFirestore();
+    const sessionRef = db.collection('sessions').doc(sessionId);
+    const batch = db.batch();
+
+    const userSnap = await sessionRef.collection('users').doc(oldName).get();
+    if (userSnap.exists) {
+      batch.set(sessionRef.collection('users').doc(newName), userSnap.data(), { merge: true });
+      batch.delete(userSnap.ref);
+    }
+    if ((await sessionRef.get()).data()?.owner === oldName) batch.update(sessionRef, { owner: newName });
+
+    const picksSnap = await sessionRef.collection('picks').where('username', '==', oldName).get();
+    for (const d of picksSnap.docs) {
+      const newRef = sessionRef.collection('picks').doc(picksDocId(newName, d.data().slot));
+      // picks replace newName's; cleared slots only fill in where newName has nothing
+      if (d.data().value !== null || !(await newRef.get()).exists) {
+        batch.set(newRef, { ...d.data(), username: newName });
+      }
+      batch.delete(d.ref);
+    }
+
+    const historySnap = await sessionRef.collection('pickHistory').where('username', '==', oldName).get();
+    historySnap.docs.forEach(d => batch.update(d.ref, { username: newName }));
+    await batch.commit();
+  }
+
+  // Append-only log next to the picks: sessions/{id}/pickHistory (auto ids)
+  async function appendPickHistory({ sessionId, ...entry }) {
+    const db = getFirestore();
+    await db.collection('sessions').doc(sessionId)
+      .collection('pickHistory').add({ slot: null, value: null, by: null, ...entry });
+  }
+
+  // Oldest first; either filter may be left out. Sorted here so no composite index is needed.
+  async function listPickHistory({ sessionId, username } = {}) {
+    const db = getFirestore();
+    let query = sessionId
+      ? db.collection('sessions').doc(sessionId).collection('pickHistory')
+      : db.collectionGroup('pickHistory');
+    if (username) query = query.where('username', '==', username);
+    const snap = await query.get();
+    return snap.docs
+      .map(d => ({ sessionId: d.ref.parent.parent.id, ...d.data() }))
+      .sort((a, b) => a.at.localeCompare(b.at));
+  }
+
+  // Live changes to one session, from any server instance. Our own writes echo back
+  // too; the caller ignores changes it already has. Returns an unsubscribe function.
+  function watchSession(sessionId, onChange) {
+    const db = getFirestore();
+    const sessionRef = db.collection('sessions').doc(sessionId);
+    const onError = (err) => log.error('FIRESTORE WATCH', err, { sessionId });
+
+    const unsubscribers = [
+      sessionRef.onSnapshot(doc => {
+        const { owner = null, maxBoards = null } = doc.exists ? doc.data() : {};
+        onChange({ type: 'settings', owner, maxBoards });
+      }, onError),
+      sessionRef.collection('users').onSnapshot(snap => {
+        for (const change of snap.docChanges()) {
+          if (change.type === 'added') onChange({ type: 'user-joined', username: change.doc.id });
+          if (change.type === 'removed') onChange({ type: 'user-left', username: change.doc.id });
+        }
+      }, onError),
+      sessionRef.collection('picks').onSnapshot(snap => {
+        for (const change of snap.docChanges()) {
+          const { username, slot, value, rev } = change.doc.data();
+          if (change.type === 'removed') onChange({ type: 'pick-cleared', username, slot });
+          else if (value === null) onChange({ type: 'pick-cleared', username, slot, rev });
+          else onChange({ type: 'pick-set', username, slot, value, rev: rev || 1 });
+        }
+      }, onError),
+      db.collection('setlists').doc(sessionId).onSnapshot(doc => {
+        onChange({ type: 'setlist', setlist: doc.exists ? doc.data() : null });
+      }, onError),
+    ];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
+
+  // Actual setlists live next to the session: setlists/{sessionId}
+  async function getSetlist(sessionId) {
+    const db = getFirestore();
+    const snap = await db.collection('setlists').doc(sessionId).get();
+    return snap.exists ? snap.data() : null;
+  }
+
+  async function saveSetlist(sessionId, setlist) {
+    const db = getFirestore();
+    await db.collection('setlists').doc(sessionId).set(setlist);
+  }
+
+  async function deleteSetlist(sessionId) {
+    const db = getFirestore();
+    await db.collection('setlists').doc(sessionId).delete();
+  }
+
+  async function listSetlists() {
+    const db = getFirestore();
+    const snap = await db.collection('setlists').get();
+    return new Map(snap.docs.map(d => [d.id, d.data()]));
+  }
+
+  async function listTourDates() {
+    const db = getFirestore();
+    const snap = await db.collection('tourDates').get();
+    return snap.docs.map(d => ({ ...d.data(), id: d.id }));
+  }
+
+  async function saveTourDate(rec) {
+    const db = getFirestore();
+    await db.collection('tourDates').doc(rec.id).set(rec);
+  }
+
+  async function deleteTourDate(id) {
+    const db = getFirestore();
+    await db.collection('tourDates').doc(id).delete();
+  }
+
+  async function listSongs() {
+    const db = getFirestore();
+    const snap = await db.collection('songs').get();
+    const songs = snap.docs.map(d => d.data()).filter(s => s?.name);
+    songs.sort((a, b) => a.name.localeCompare(b.name));
+    return songs;
+  }
+
+  // Replaces the record in place (seeded docs keep their slug ids)
+  async function saveSong(rec) {
+    const db = getFirestore();
+    const snap = await db.collection('songs').where('name', '==', rec.name).limit(1).get();
+    // doc id = name (safe unless name contains "/")
+    const ref = snap.empty ? db.collection('songs').doc(rec.name.replaceAll('/', '_')) : snap.docs[0].ref;
+    await ref.set(rec);
+  }
+
+  // Seeded docs use slug ids, so match on the stored name
+  async function deleteSong(name) {
+    const db = getFirestore();
+    const snap = await db.collection('songs').where('name', '==', name).get();
+    if (snap.empty) return 0;
+
+    const batch = db.batch();
+    snap.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+    return snap.size;
+  }
+
+  async function listSongSuggestions() {
+    const db = getFirestore();
+    const snap = await db.collection('songSuggestions').get();
+    return snap.docs.map(d => d.data());
+  }
+
+  async function getSongSuggestion(key) {
+    const db = getFirestore();
+    const snap = await db.collection('songSuggestions').doc(suggestionDocId(key)).get();
+    return snap.exists ? snap.data() : null;
+  }
+
+  async function saveSongSuggestion(rec) {
+    const db = getFirestore();
+    await db.collection('songSuggestions').doc(suggestionDocId(rec.key)).set(rec);
+  }
+
+  async function deleteSongSuggestion(key) {
+    const db = getFirestore();
+    await db.collection('songSuggestions').doc(suggestionDocId(key)).delete();
+  }
+
+  async function getPlayer(key) {
+    const db = getFirestore();
+    const snap = await db.collection('players').doc(playerDocId(key)).get();
+    return snap.exists ? snap.data() : null;
+  }
+
+  async function savePlayer(rec) {
+    const db = getFirestore();
+    await db.collection('players').doc(playerDocId(rec.key)).set(rec);
+  }
+
+  async function deletePlayer(key) {
+    const db = getFirestore();
+    await db.collection('players').doc(playerDocId(key)).delete();
+  }
+
+  async function listPlayers() {
+    const db = getFirestore();
+    const snap = await db.collection('players').get();
+    return snap.docs.map(d => d.data());
+  }
+
+  // One-off jobs that already ran: markers/{name}
+  async function hasMarker(name) {
+    const db = getFirestore();
+    return (await db.collection('markers').doc(name).get()).exists;
+  }
+
+  async function setMarker(name) {
+    const db = getFirestore();
+    await db.collection('markers').doc(name).set({ setAt: new Date().toISOString() });
+  }
+
+  async function ping() {
+    const db = getFirestore();
+    await db.collection('__health').doc('ping').set({ ts: new Date().toISOString() }, { merge: true });
+    return 'FIRESTORE OK';
+  }
+
+  return {
+    name: 'firestore',
+    getFirestore,
+    ensureSession,
+    ensureUser,
+    upsertPick,
+    deletePick,
+    clearBoard,
+    removeUser,
+    getSessionSettings,
+    saveSessionSettings,
+    buildState,
+    listSessions,
+    allPicks,
+    renameUser,
+    renameBoard,
+    appendPickHistory,
+    listPickHistory,
+    watchSession,
+    getSetlist,
+    saveSetlist,
+    deleteSetlist,
+    listSetlists,
+    listTourDates,
+    saveTourDate,
+    deleteTourDate,
+    listSongs,
+    saveSong,
+    deleteSong,
+    listSongSuggestions,
+    getSongSuggestion,
+    saveSongSuggestion,
+    deleteSongSuggestion,
+    getPlayer,
+    savePlayer,
+    deletePlayer,
+    listPlayers,
+    hasMarker,
+    setMarker,
+    ping,
+  };
+}
+
+module.exports = { createFirestoreStore };
@@ -0,0 +1,55 @@
+// db/index.js (picks the storage backend behind server.js's `api`)
+const path = require('path');
+
+const BACKENDS = ['memory', 'sqlite', 'firestore'];
+
+// DISABLE_DB=1 still means in-memory; otherwise DB_BACKEND (default firestore)
+function backendFromEnv(env = process.env) {
+  if (String(env.DISABLE_DB || '').trim() === '1') return 'memory';
+
+  const name = String(env.DB_BACKEND || 'firestore').trim().toLowerCase();
+  if (!BACKENDS.includes(name)) {
+    throw new Error(`Unknown DB_BACKEND "${name}" (expected ${BACKENDS.join(', ')})`);
+  }
+  return name;
+}
+
+// The active backend first, then any other one the environment has settings for
+// (e.g. a Firestore project left configured next to SQLite) — /dbcheck pings them all
+function configuredBackends(env = process.env) {
+  const active = backendFromEnv(env);
+  const configured = {
+    sqlite: !!env.SQLITE_PATH,
+    firestore: !!(env.FIRESTORE_EMULATOR_HOST || env.FIREBASE_PROJECT_ID || env.GCLOUD_PROJECT || env.GCP_PROJECT),
+  };
+  return [active, ...BACKENDS.filter(name => name !== active && configured[name])];
+}
+
+function sqliteFile(env) {
+  return env.SQLITE_PATH || path.join(__dirname, '..', 'data.db');
+}
+
+function createStore(backend, env = process.env) {
+  switch (backend) {
+    case 'memory':
+      return require('./memory').createMemoryStore();
+    case 'sqlite':
+      return require('./sqlite').createSqliteStore({ file: sqliteFile(env) });
+    case 'firestore':
+      return require('./firestore').createFirestoreStore({
+        projectId: env.FIREBASE_PROJECT_ID || env.GCLOUD_PROJECT || env.GCP_PROJECT,
+        databaseId: env.FIRESTORE_DATABASE_ID || '(default)',
+      });
+    default:
+      throw new Error(`Unknown backend "${backend}"`);
+  }
+}
+
+// What /dbcheck pings for a backend that isn't the active one. A full SQLite store would
+// migrate the file and hold it open, so that check only takes a read-only look.
+function createCheckStore(backend, env = process.env) {
+  if (backend !== 'sqlite') return createStore(backend, env);
+  return { name: 'sqlite', ping: () => require('./sqlite').pingSqliteFile(sqliteFile(env)) };
+}
+
+module.exports = { BACKENDS, backendFromEnv, configuredBackends, createStore, createCheckStore };
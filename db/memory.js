@@ -0,0 +1,269 @@
+// db/memory.js (volatile store; everything is lost on restart)
+
+function createMemoryStore() {
+  const mem = {
+    sessions: new Map(), // id -> { users:Set, picks: Map("user|slot" -> value), revs: Map("user|slot" -> rev, cleared slots too), owner, maxBoards }
+    setlists: new Map(), // id -> { songs:[{ name, encore, cover, bustout }], updatedAt }
+    tourDates: new Map(), // id -> tour date record
+    songs: new Map(), // name -> song record
+    songSuggestions: new Map(), // normalized name -> pending suggestion
+    players: new Map(), // normalized name -> player claim
+    pickHistory: [], // append-only [{ sessionId, username, action, slot, value, at, by }]
+    markers: new Set(), // one-off jobs that already ran
+  };
+
+  function ensureSession(id) {
+    if (!mem.sessions.has(id)) mem.sessions.set(id, { users: new Set(), picks: new Map(), revs: new Map(), owner: null, maxBoards: null });
+  }
+  function ensureUser(id, username) {
+    ensureSession(id);
+    mem.sessions.get(id).users.add(username);
+  }
+  function upsertPick(id, username, slot, value, rev = 1) {
+    ensureUser(id, username);
+    const s = mem.sessions.get(id);
+    s.picks.set(`${username}|${slot}`, value);
+    s.revs.set(`${username}|${slot}`, rev);
+  }
+  // Cleared slots keep their revision (rev, or one past the last) so it never repeats
+  function deletePick(id, username, slot, rev) {
+    const s = mem.sessions.get(id);
+    if (!s) return;
+    const key = `${username}|${slot}`;
+    s.picks.delete(key);
+    s.revs.set(key, rev ?? (s.revs.get(key) || 0) + 1);
+  }
+  function clearBoard(id, username) {
+    const s = mem.sessions.get(id);
+    if (!s) return;
+    for (const key of Array.from(s.picks.keys())) {
+      if (key.startsWith(username + '|')) deletePick(id, username, key.slice(username.length + 1));
+    }
+  }
+  // Drops the board entirely (user, picks and revisions)
+  function removeUser(id, username) {
+    const s = mem.sessions.get(id);
+    if (!s) return;
+    for (const key of Array.from(s.revs.keys())) {
+      if (!key.startsWith(username + '|')) continue;
+      s.picks.delete(key);
+      s.revs.delete(key);
+    }
+    s.users.delete(username);
+  }
+  function getSessionSettings(id) {
+    const s = mem.sessions.get(id);
+    return { owner: s?.owner || null, maxBoards: s?.maxBoards || null };
+  }
+  function saveSessionSettings(id, { owner = null, maxBoards = null }) {
+    ensureSession(id);
+    Object.assign(mem.sessions.get(id), { owner, maxBoards });
+  }
+  function buildState(id) {
+    const s = mem.sessions.get(id) || { users: new Set(), picks: new Map(), revs: new Map() };
+    const state = { owner: s.owner || null, users: [], userSongs: {}, pickRevs: {} };
+
+    [...s.users].sort((a, b) => a.localeCompare(b, 'en', { sensitivity: 'base' }))
+      .forEach(u => state.users.push({ socketId: null, username: u }));
+
+    for (const [key, val] of s.picks.entries()) {
+      const [u, slot] = key.split('|');
+      if (!state.userSongs[u]) state.userSongs[u] = {};
+      state.userSongs[u][slot] = val;
+    }
+    for (const [key, rev] of s.revs.entries()) {
+      const [u, slot] = key.split('|');
+      if (!state.pickRevs[u]) state.pickRevs[u] = {};
+      state.pickRevs[u][slot] = rev;
+    }
+    return state;
+  }
+  function listSessions() {
+    return [...mem.sessions.keys()].sort();
+  }
+  function allPicks() {
+    const picks = [];
+    for (const [sessionId, s] of mem.sessions) {
+      for (const [key, value] of s.picks) {
+        const [username, slot] = key.split('|');
+        picks.push({ sessionId, username, slot, value });
+      }
+    }
+    return picks;
+  }
+
+  // One session's board (and hosting); false when oldName had neither there
+  function moveBoard(s, oldName, newName) {
+    const hosted = s.owner === oldName;
+    if (hosted) s.owner = newName;
+    if (!s.users.has(oldName)) return hosted;
+    s.users.delete(oldName);
+    s.users.add(newName);
+    for (const key of Array.from(s.revs.keys())) {
+      if (!key.startsWith(oldName + '|')) continue;
+      const newKey = newName + key.slice(oldName.length);
+      // picks replace newName's; cleared slots only fill in where newName has nothing
+      if (s.picks.has(key)) {
+        s.picks.set(newKey, s.picks.get(key));
+        s.revs.set(newKey, s.revs.get(key));
+      } else if (!s.revs.has(newKey)) {
+        s.revs.set(newKey, s.revs.get(key));
+      }
+      s.picks.delete(key);
+      s.revs.delete(key);
+    }
+    return true;
+  }
+  // The log follows the board, so locked shows still rewind it; sessionId null = everywhere
+  function moveHistory(sessionId, oldName, newName) {
+    for (const e of mem.pickHistory) {
+      if (e.username === oldName && (!sessionId || e.sessionId === sessionId)) e.username = newName;
+    }
+  }
+  // Moves boards (and hosting, and pick history) from oldName to newName in every session;
+  // newName's picks lose on conflict
+  function renameUser(oldName, newName) {
+    if (oldName === newName) return [];
+    const touched = [];
+    for (const [id, s] of mem.sessions) {
+      if (moveBoard(s, oldName, newName)) touched.push(id);
+    }
+    moveHistory(null, oldName, newName);
+    return touched;
+  }
+  function renameBoard(id, oldName, newName) {
+    const s = mem.sessions.get(id);
+    if (!s || oldName === newName) return;
+    moveBoard(s, oldName, newName);
+    moveHistory(id, oldName, newName);
+  }
+
+  function appendPickHistory(entry) {
+    mem.pickHistory.push({ slot: null, value: null, by: null, ...entry });
+  }
+  // Oldest first; either filter may be left out
+  function listPickHistory({ sessionId, username } = {}) {
+    return mem.pickHistory
+      .filter(e => (!sessionId || e.sessionId === sessionId) && (!username || e.username === username))
+      .sort((a, b) => a.at.localeCompare(b.at))
+      .map(e => ({ ...e }));
+  }
+
+  // Single process: every write already goes through the server's session cache
+  function watchSession() {
+    return () => {};
+  }
+
+  function getSetlist(id) {
+    return mem.setlists.get(id) || null;
+  }
+  function saveSetlist(id, setlist) {
+    mem.setlists.set(id, setlist);
+  }
+  function deleteSetlist(id) {
+    mem.setlists.delete(id);
+  }
+  function listSetlists() {
+    return new Map(mem.setlists);
+  }
+
+  function listTourDates() {
+    return [...mem.tourDates.values()];
+  }
+  function saveTourDate(rec) {
+    mem.tourDates.set(rec.id, rec);
+  }
+  function deleteTourDate(id) {
+    mem.tourDates.delete(id);
+  }
+
+  function listSongs() {
+    return [...mem.songs.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+  function saveSong(rec) {
+    mem.songs.set(rec.name, rec);
+  }
+  function deleteSong(name) {
+    return mem.songs.delete(name) ? 1 : 0;
+  }
+
+  function listSongSuggestions() {
+    return [...mem.songSuggestions.values()];
+  }
+  function getSongSuggestion(key) {
+    return mem.songSuggestions.get(key) || null;
+  }
+  function saveSongSuggestion(rec) {
+    mem.songSuggestions.set(rec.key, rec);
+  }
+  function deleteSongSuggestion(key) {
+    mem.songSuggestions.delete(key);
+  }
+
+  function getPlayer(key) {
+    return mem.players.get(key) || null;
+  }
+  function savePlayer(rec) {
+    mem.players.set(rec.key, rec);
+  }
+  function deletePlayer(key) {
+    mem.players.delete(key);
+  }
+  function listPlayers() {
+    return [...mem.players.values()];
+  }
+
+  function hasMarker(name) {
+    return mem.markers.has(name);
+  }
+  function setMarker(name) {
+    mem.markers.add(name);
+  }
+
+  function ping() {
+    return 'MEMORY OK';
+  }
+
+  return {
+    name: 'memory',
+    ensureSession,
+    ensureUser,
+    upsertPick,
+    deletePick,
+    clearBoard,
+    removeUser,
+    getSessionSettings,
+    saveSessionSettings,
+    buildState,
+    listSessions,
+    allPicks,
+    renameUser,
+    renameBoard,
+    appendPickHistory,
+    listPickHistory,
+    watchSession,
+    getSetlist,
+    saveSetlist,
+    deleteSetlist,
+    listSetlists,
+    listTourDates,
+    saveTourDate,
+    deleteTourDate,
+    listSongs,
+    saveSong,
+    deleteSong,
+    listSongSuggestions,
+    getSongSuggestion,
+    saveSongSuggestion,
+    deleteSongSuggestion,
+    getPlayer,
+    savePlayer,
+    deletePlayer,
+    listPlayers,
+    hasMarker,
+    setMarker,
+    ping,
+  };
+}
+
+module.exports = { createMemoryStore };
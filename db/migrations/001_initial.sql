@@ -0,0 +1,20 @@
+-- Schema data.db shipped with (kept as-is so existing files migrate cleanly)
+CREATE TABLE IF NOT EXISTS sessions (
+  id TEXT PRIMARY KEY,
+  owner TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS session_users (
+  session_id TEXT,
+  username TEXT,
+  PRIMARY KEY (session_id, username)
+);
+
+CREATE TABLE IF NOT EXISTS user_picks (
+  session_id TEXT,
+  username TEXT,
+  slot TEXT,
+  value TEXT,
+  PRIMARY KEY (session_id, username, slot)
+);
@@ -0,0 +1,17 @@
+-- Everything the Firestore backend keeps outside sessions/{id}
+ALTER TABLE user_picks ADD COLUMN updated_at TEXT;
+
+CREATE TABLE IF NOT EXISTS setlists (
+  session_id TEXT PRIMARY KEY,
+  data TEXT NOT NULL -- JSON { songs, updatedAt }
+);
+
+CREATE TABLE IF NOT EXISTS tour_dates (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL -- JSON tour date record
+);
+
+CREATE TABLE IF NOT EXISTS songs (
+  name TEXT PRIMARY KEY,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,5 @@
+-- Claimed player names (token + recovery code hashes live in the JSON)
+CREATE TABLE IF NOT EXISTS players (
+  key TEXT PRIMARY KEY, -- normalized name
+  data TEXT NOT NULL -- JSON player record
+);
@@ -0,0 +1,7 @@
+-- Song records (aliases, cover flag, original artist, debut) + pending typed-in songs
+ALTER TABLE songs ADD COLUMN data TEXT; -- JSON song record; NULL for name-only rows
+
+CREATE TABLE IF NOT EXISTS song_suggestions (
+  key TEXT PRIMARY KEY, -- normalized name
+  data TEXT NOT NULL -- JSON suggestion record
+);
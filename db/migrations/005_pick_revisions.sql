@@ -0,0 +1,2 @@
+-- Per-pick revision, bumped on every write so stale tabs can't clobber newer picks
+ALTER TABLE user_picks ADD COLUMN rev INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,13 @@
+-- Append-only log of pick changes: action is set / clear / clear-all (slot + value NULL for clear-all)
+CREATE TABLE IF NOT EXISTS pick_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  session_id TEXT NOT NULL,
+  username TEXT NOT NULL,
+  action TEXT NOT NULL,
+  slot TEXT,
+  value TEXT,
+  at TEXT NOT NULL, -- ISO timestamp
+  by_player TEXT -- claimed player key of whoever made the change
+);
+
+CREATE INDEX IF NOT EXISTS pick_history_session_user ON pick_history (session_id, username);
@@ -0,0 +1,2 @@
+-- sessions.owner (unused until now) holds the host's board name; max_boards caps boards per session (NULL = no cap)
+ALTER TABLE sessions ADD COLUMN max_boards INTEGER;
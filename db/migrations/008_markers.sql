@@ -0,0 +1,5 @@
+-- One-off jobs that already ran (e.g. seeding tour dates), so they never run again
+CREATE TABLE IF NOT EXISTS markers (
+  name TEXT PRIMARY KEY,
+  set_at TEXT NOT NULL -- ISO timestamp
+);
@@ -0,0 +1,367 @@
+// db/sqlite.js (SQLite store; defaults to the bundled data.db)
+const fs = require('fs');
+const path = require('path');
+const log = require('../log');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Applies migrations/NNN_*.sql newer than PRAGMA user_version, in order
+function migrate(db) {
+  const current = db.pragma('user_version', { simple: true });
+  const files = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(f => /^\d+_.+\.sql$/.test(f))
+    .sort();
+
+  for (const file of files) {
+    const version = parseInt(file, 10);
+    if (version <= current) continue;
+
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    db.transaction(() => {
+      db.exec(sql);
+      db.pragma(`user_version = ${version}`);
+    })();
+    log.info('SQLITE', `applied migration ${file}`);
+  }
+}
+
+// /dbcheck on a file this process doesn't serve from: opened read-only (never created, migrated
+// or switched to WAL) and closed again
+function pingSqliteFile(file) {
+  const Database = require('better-sqlite3');
+  const db = new Database(file, { readonly: true, fileMustExist: true });
+  try {
+    return `SQLITE OK (schema ${db.pragma('user_version', { simple: true })})`;
+  } finally {
+    db.close();
+  }
+}
+
+function createSqliteStore({ file }) {
+  const Database = require('better-sqlite3');
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  migrate(db);
+  log.info('SQLITE', `file=${file}`);
+
+  const q = {
+    ensureSession: db.prepare('INSERT OR IGNORE INTO sessions (id) VALUES (?)'),
+    ensureUser: db.prepare('INSERT OR IGNORE INTO session_users (session_id, username) VALUES (?, ?)'),
+    upsertPick: db.prepare(`
+      INSERT INTO user_picks (session_id, username, slot, value, updated_at, rev) VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT (session_id, username, slot) DO UPDATE
+        SET value = excluded.value, updated_at = excluded.updated_at, rev = excluded.rev
+    `),
+    // cleared picks stay as value NULL rows so their revision never repeats
+    deletePick: db.prepare(`
+      UPDATE user_picks SET value = NULL, updated_at = @at, rev = COALESCE(@rev, rev + 1)
+      WHERE session_id = @id AND username = @username AND slot = @slot
+    `),
+    clearBoard: db.prepare(`
+      UPDATE user_picks SET value = NULL, updated_at = @at, rev = rev + 1
+      WHERE session_id = @id AND username = @username AND value IS NOT NULL
+    `),
+    dropBoard: db.prepare('DELETE FROM user_picks WHERE session_id = ? AND username = ?'),
+    removeUser: db.prepare('DELETE FROM session_users WHERE session_id = ? AND username = ?'),
+    getSessionSettings: db.prepare('SELECT owner, max_boards AS maxBoards FROM sessions WHERE id = ?'),
+    saveSessionSettings: db.prepare('UPDATE sessions SET owner = @owner, max_boards = @maxBoards WHERE id = @id'),
+    users: db.prepare('SELECT username FROM session_users WHERE session_id = ?'),
+    picks: db.prepare('SELECT username, slot, value, rev FROM user_picks WHERE session_id = ?'),
+    allPicks: db.prepare('SELECT session_id AS sessionId, username, slot, value FROM user_picks WHERE value IS NOT NULL'),
+    listSessions: db.prepare('SELECT id FROM sessions ORDER BY id'),
+    appendPickHistory: db.prepare(`
+      INSERT INTO pick_history (session_id, username, action, slot, value, at, by_player)
+      VALUES (@sessionId, @username, @action, @slot, @value, @at, @by)
+    `),
+    listPickHistory: db.prepare(`
+      SELECT session_id AS sessionId, username, action, slot, value, at, by_player AS by FROM pick_history
+      WHERE (@sessionId IS NULL OR session_id = @sessionId) AND (@username IS NULL OR username = @username)
+      ORDER BY at, id
+    `),
+    getSetlist: db.prepare('SELECT data FROM setlists WHERE session_id = ?'),
+    saveSetlist: db.prepare(`
+      INSERT INTO setlists (session_id, data) VALUES (?, ?)
+      ON CONFLICT (session_id) DO UPDATE SET data = excluded.data
+    `),
+    deleteSetlist: db.prepare('DELETE FROM setlists WHERE session_id = ?'),
+    listSetlists: db.prepare('SELECT session_id, data FROM setlists'),
+    listTourDates: db.prepare('SELECT data FROM tour_dates'),
+    saveTourDate: db.prepare(`
+      INSERT INTO tour_dates (id, data) VALUES (?, ?)
+      ON CONFLICT (id) DO UPDATE SET data = excluded.data
+    `),
+    deleteTourDate: db.prepare('DELETE FROM tour_dates WHERE id = ?'),
+    listSongs: db.prepare('SELECT name, data FROM songs'),
+    saveSong: db.prepare(`
+      INSERT INTO songs (name, data) VALUES (?, ?)
+      ON CONFLICT (name) DO UPDATE SET data = excluded.data
+    `),
+    deleteSong: db.prepare('DELETE FROM songs WHERE name = ?'),
+    listSongSuggestions: db.prepare('SELECT data FROM song_suggestions'),
+    getSongSuggestion: db.prepare('SELECT data FROM song_suggestions WHERE key = ?'),
+    saveSongSuggestion: db.prepare(`
+      INSERT INTO song_suggestions (key, data) VALUES (?, ?)
+      ON CONFLICT (key) DO UPDATE SET data = excluded.data
+    `),
+    deleteSongSuggestion: db.prepare('DELETE FROM song_suggestions WHERE key = ?'),
+    userSessions: db.prepare(`
+      SELECT session_id FROM session_users WHERE username = @name
+      UNION SELECT id FROM sessions WHERE owner = @name
+    `),
+    renameOwner: db.prepare(`
+      UPDATE sessions SET owner = @newName WHERE owner = @oldName AND (@sessionId IS NULL OR id = @sessionId)
+    `),
+    renameUsers: db.prepare(`
+      INSERT OR IGNORE INTO session_users (session_id, username)
+      SELECT session_id, @newName FROM session_users
+      WHERE username = @oldName AND (@sessionId IS NULL OR session_id = @sessionId)
+    `),
+    renamePicks: db.prepare(`
+      INSERT OR REPLACE INTO user_picks (session_id, username, slot, value, updated_at, rev)
+      SELECT session_id, @newName, slot, value, updated_at, rev FROM user_picks
+      WHERE username = @oldName AND value IS NOT NULL AND (@sessionId IS NULL OR session_id = @sessionId)
+    `),
+    renameClearedPicks: db.prepare(`
+      INSERT OR IGNORE INTO user_picks (session_id, username, slot, value, updated_at, rev)
+      SELECT session_id, @newName, slot, value, updated_at, rev FROM user_picks
+      WHERE username = @oldName AND value IS NULL AND (@sessionId IS NULL OR session_id = @sessionId)
+    `),
+    renameHistory: db.prepare(`
+      UPDATE pick_history SET username = @newName
+      WHERE username = @oldName AND (@sessionId IS NULL OR session_id = @sessionId)
+    `),
+    dropUser: db.prepare('DELETE FROM session_users WHERE username = ?'),
+    dropPicks: db.prepare('DELETE FROM user_picks WHERE username = ?'),
+    getPlayer: db.prepare('SELECT data FROM players WHERE key = ?'),
+    savePlayer: db.prepare(`
+      INSERT INTO players (key, data) VALUES (?, ?)
+      ON CONFLICT (key) DO UPDATE SET data = excluded.data
+    `),
+    deletePlayer: db.prepare('DELETE FROM players WHERE key = ?'),
+    listPlayers: db.prepare('SELECT data FROM players'),
+    getMarker: db.prepare('SELECT 1 FROM markers WHERE name = ?'),
+    setMarker: db.prepare('INSERT OR IGNORE INTO markers (name, set_at) VALUES (?, ?)'),
+  };
+
+  function ensureSession(id) {
+    q.ensureSession.run(id);
+  }
+  function ensureUser(id, username) {
+    ensureSession(id);
+    q.ensureUser.run(id, username);
+  }
+  function upsertPick(id, username, slot, value, rev = 1) {
+    ensureUser(id, username);
+    q.upsertPick.run(id, username, slot, value, new Date().toISOString(), rev);
+  }
+  // Cleared slots keep their revision (rev, or one past the last) so it never repeats
+  function deletePick(id, username, slot, rev = null) {
+    q.deletePick.run({ id, username, slot, rev, at: new Date().toISOString() });
+  }
+  function clearBoard(id, username) {
+    q.clearBoard.run({ id, username, at: new Date().toISOString() });
+  }
+  // Drops the board entirely (user, picks and revisions)
+  const removeUser = db.transaction((id, username) => {
+    q.dropBoard.run(id, username);
+    q.removeUser.run(id, username);
+  });
+  function getSessionSettings(id) {
+    const row = q.getSessionSettings.get(id);
+    return { owner: row?.owner || null, maxBoards: row?.maxBoards || null };
+  }
+  function saveSessionSettings(id, { owner = null, maxBoards = null }) {
+    ensureSession(id);
+    q.saveSessionSettings.run({ id, owner, maxBoards });
+  }
+  function buildState(id) {
+    const state = { owner: getSessionSettings(id).owner, users: [], userSongs: {}, pickRevs: {} };
+
+    const users = q.users.all(id).map(r => r.username);
+    users.sort((a, b) => a.localeCompare(b, 'en', { sensitivity: 'base' }));
+    state.users = users.map(u => ({ socketId: null, username: u }));
+
+    for (const { username, slot, value, rev } of q.picks.all(id)) {
+      if (!state.pickRevs[username]) state.pickRevs[username] = {};
+      state.pickRevs[username][slot] = rev;
+      if (value === null) continue;
+      if (!state.userSongs[username]) state.userSongs[username] = {};
+      state.userSongs[username][slot] = value;
+    }
+    return state;
+  }
+  function listSessions() {
+    return q.listSessions.all().map(r => r.id);
+  }
+  function allPicks() {
+    return q.allPicks.all();
+  }
+
+  // Moves boards (and hosting, and pick history) from oldName to newName in every session;
+  // newName's picks lose on conflict
+  // (a same-name rename would copy rows onto themselves and then drop them)
+  const renameUser = db.transaction((oldName, newName) => {
+    if (oldName === newName) return [];
+    const touched = q.userSessions.all({ name: oldName }).map(r => r.session_id);
+    const names = { sessionId: null, oldName, newName };
+    q.renameOwner.run(names);
+    q.renameUsers.run(names);
+    q.renamePicks.run(names);
+    q.renameClearedPicks.run(names);
+    q.renameHistory.run(names);
+    q.dropUser.run(oldName);
+    q.dropPicks.run(oldName);
+    return touched;
+  });
+
+  // renameUser for one session
+  const renameBoard = db.transaction((id, oldName, newName) => {
+    if (oldName === newName) return;
+    const names = { sessionId: id, oldName, newName };
+    q.renameOwner.run(names);
+    q.renameUsers.run(names);
+    q.renamePicks.run(names);
+    q.renameClearedPicks.run(names);
+    q.renameHistory.run(names);
+    q.dropBoard.run(id, oldName);
+    q.removeUser.run(id, oldName);
+  });
+
+  function appendPickHistory(entry) {
+    q.appendPickHistory.run({ slot: null, value: null, by: null, ...entry });
+  }
+  // Oldest first; either filter may be left out
+  function listPickHistory({ sessionId = null, username = null } = {}) {
+    return q.listPickHistory.all({ sessionId, username });
+  }
+
+  // Single process: every write already goes through the server's session cache
+  function watchSession() {
+    return () => {};
+  }
+
+  function getSetlist(id) {
+    const row = q.getSetlist.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+  function saveSetlist(id, setlist) {
+    q.saveSetlist.run(id, JSON.stringify(setlist));
+  }
+  function deleteSetlist(id) {
+    q.deleteSetlist.run(id);
+  }
+  function listSetlists() {
+    return new Map(q.listSetlists.all().map(r => [r.session_id, JSON.parse(r.data)]));
+  }
+
+  function listTourDates() {
+    return q.listTourDates.all().map(r => JSON.parse(r.data));
+  }
+  function saveTourDate(rec) {
+    q.saveTourDate.run(rec.id, JSON.stringify(rec));
+  }
+  function deleteTourDate(id) {
+    q.deleteTourDate.run(id);
+  }
+
+  // rows from before 004_song_catalog only have a name
+  function listSongs() {
+    return q.listSongs.all()
+      .map(r => (r.data ? JSON.parse(r.data) : { name: r.name }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+  function saveSong(rec) {
+    q.saveSong.run(rec.name, JSON.stringify(rec));
+  }
+  function deleteSong(name) {
+    return q.deleteSong.run(name).changes;
+  }
+
+  function listSongSuggestions() {
+    return q.listSongSuggestions.all().map(r => JSON.parse(r.data));
+  }
+  function getSongSuggestion(key) {
+    const row = q.getSongSuggestion.get(key);
+    return row ? JSON.parse(row.data) : null;
+  }
+  function saveSongSuggestion(rec) {
+    q.saveSongSuggestion.run(rec.key, JSON.stringify(rec));
+  }
+  function deleteSongSuggestion(key) {
+    q.deleteSongSuggestion.run(key);
+  }
+
+  function getPlayer(key) {
+    const row = q.getPlayer.get(key);
+    return row ? JSON.parse(row.data) : null;
+  }
+  function savePlayer(rec) {
+    q.savePlayer.run(rec.key, JSON.stringify(rec));
+  }
+  function deletePlayer(key) {
+    q.deletePlayer.run(key);
+  }
+  function listPlayers() {
+    return q.listPlayers.all().map(r => JSON.parse(r.data));
+  }
+
+  function hasMarker(name) {
+    return !!q.getMarker.get(name);
+  }
+  function setMarker(name) {
+    q.setMarker.run(name, new Date().toISOString());
+  }
+
+  function ping() {
+    db.prepare('SELECT 1').get();
+    return 'SQLITE OK';
+  }
+
+  function close() {
+    db.close();
+  }
+
+  return {
+    name: 'sqlite',
+    ensureSession,
+    ensureUser,
+    upsertPick,
+    deletePick,
+    clearBoard,
+    removeUser,
+    getSessionSettings,
+    saveSessionSettings,
+    buildState,
+    listSessions,
+    allPicks,
+    renameUser,
+    renameBoard,
+    appendPickHistory,
+    listPickHistory,
+    watchSession,
+    getSetlist,
+    saveSetlist,
+    deleteSetlist,
+    listSetlists,
+    listTourDates,
+    saveTourDate,
+    deleteTourDate,
+    listSongs,
+    saveSong,
+    deleteSong,
+    listSongSuggestions,
+    getSongSuggestion,
+    saveSongSuggestion,
+    deleteSongSuggestion,
+    getPlayer,
+    savePlayer,
+    deletePlayer,
+    listPlayers,
+    hasMarker,
+    setMarker,
+    ping,
+    close,
+  };
+}
+
+module.exports = { createSqliteStore, migrate, pingSqliteFile };
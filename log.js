@@ -0,0 +1,43 @@
+// log.js (one JSON object per line; LOG_FORMAT=text for the old "[TAG] message" lines)
+const { AsyncLocalStorage } = require('async_hooks');
+
+const TEXT = String(process.env.LOG_FORMAT || '').trim().toLowerCase() === 'text';
+
+// Request / socket-event fields that ride along with every line logged while handling it
+const context = new AsyncLocalStorage();
+
+const errorCounts = new Map(); // tag -> errors logged (for /metrics)
+
+function write(level, tag, msg, fields = {}) {
+  const out = level === 'info' ? console.log : console.error;
+  const extra = { ...context.getStore(), ...fields };
+
+  if (TEXT) {
+    const suffix = Object.keys(extra).length ? ' ' + JSON.stringify(extra) : '';
+    out(`[${tag}${level === 'error' ? ' ERROR' : ''}]`, msg + suffix);
+    return;
+  }
+  out(JSON.stringify({ time: new Date().toISOString(), level, tag, msg, ...extra }));
+}
+
+function info(tag, msg, fields) {
+  write('info', tag, msg, fields);
+}
+
+function warn(tag, msg, fields) {
+  write('warn', tag, msg, fields);
+}
+
+// err may be an Error or anything thrown; the stack goes along in JSON mode
+function error(tag, err, fields = {}) {
+  errorCounts.set(tag, (errorCounts.get(tag) || 0) + 1);
+  const msg = err?.message || String(err);
+  write('error', tag, msg, TEXT || !err?.stack ? fields : { ...fields, stack: err.stack });
+}
+
+// Runs fn with fields added to the current context (nested calls merge)
+function withContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+module.exports = { info, warn, error, withContext, errorCounts };
@@ -0,0 +1,13 @@
+// Usage: node scripts/hash_password.js <name> <password>
+// Prints an ADMIN_USERS entry for server.js
+const crypto = require('crypto');
+
+const [name, password] = process.argv.slice(2);
+if (!name || !password) {
+  console.error('Usage: node scripts/hash_password.js <name> <password>');
+  process.exit(1);
+}
+
+const salt = crypto.randomBytes(16).toString('hex');
+const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+console.log(`${name.trim().toLowerCase()}:scrypt:${salt}:${hash}`);
@@ -1,460 +1,2183 @@
-// server.js (Firestore)
+// server.js (Firestore / SQLite / in-memory)
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const log = require('./log');
+
+// ───────────────── Metrics ─────────────────
+// Prometheus text format at /metrics; counters live here, gauges are read at scrape time
+const LATENCY_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]; // seconds
+
+const metrics = {
+  socketEvents: new Map(), // event -> count
+  rateLimited: new Map(),  // limiter -> count
+  apiCalls: new Map(),     // api method -> { counts (per bucket), sum, count }
+  apiErrors: new Map(),    // api method -> count
+};
+
+function countMetric(map, key) {
+  map.set(key, (map.get(key) || 0) + 1);
+}
+
+function observeApiCall(method, seconds) {
+  let h = metrics.apiCalls.get(method);
+  if (!h) metrics.apiCalls.set(method, h = { counts: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 });
+  LATENCY_BUCKETS.forEach((le, i) => { if (seconds <= le) h.counts[i]++; });
+  h.sum += seconds;
+  h.count++;
+}
+
+// Times every store method, sync (memory, SQLite) or async (Firestore), and counts failures
+function instrumentStore(target) {
+  const wrapped = { ...target };
+  for (const [method, fn] of Object.entries(target)) {
+    if (typeof fn !== 'function') continue;
+    wrapped[method] = (...args) => {
+      const started = process.hrtime.bigint();
+      const done = () => observeApiCall(method, Number(process.hrtime.bigint() - started) / 1e9);
+      const failed = (err) => {
+        done();
+        countMetric(metrics.apiErrors, method);
+        throw err;
+      };
+
+      let result;
+      try {
+        result = fn(...args);
+      } catch (err) {
+        failed(err);
+      }
+      if (result && typeof result.then === 'function') {
+        return result.then(value => { done(); return value; }, failed);
+      }
+      done();
+      return result;
+    };
+  }
+  return wrapped;
+}
+
+// ───────────────── Storage backend ─────────────────
+const { backendFromEnv, configuredBackends, createStore, createCheckStore } = require('./db');
+
+const DB_BACKEND = backendFromEnv();
+const store = instrumentStore(createStore(DB_BACKEND));
+
+log.info('BOOT', `DB backend → ${DB_BACKEND}`);
+
+// ───────────────── Data layer ─────────────────
+// Pure logic in core.js; the tour date and song catalog caches it reads are filled below
+const {
+  tourDates, slugify, tourDateTitle, cleanTourDate, newTourDateId, findTourDate, sortedTourDates, withTitle,
+  sessionDate, sessionLock, lockMessage, boardsAtLock,
+  MAX_SETLIST_SONGS, normalizeSongName, cleanSetlistSong, cleanSetlist, parseSetlistText, attachScores,
+  sessionCsv, tourCalendar, escapeHtml, boardCardSvg,
+  SLOT_TEMPLATES, DEFAULT_SLOT_TEMPLATE, slotTemplate, sessionTemplate, findSlot,
+  songCatalog, songIndex, indexSongs, cleanSong, matchSong,
+  TOUR_LEGS, showsInRange, groupBoards, buildLeaderboard, buildConsensus, buildSongStats,
+  PICK_RULE_DEFAULTS, sessionRules, pickRuleError,
+} = require('./core');
+
+// Tour dates live in the backend (tourDates/{id} in Firestore).
+// data/tour_dates.json seeds an empty store on first boot.
+const SEED_TOUR_DATES = require('./data/tour_dates.json');
+
+const TOUR_DATES_REFRESH_MS = 60 * 1000;
+
+// ---------- Backend ----------
+// Stores return raw boards; lock + scoring are layered on here for every backend.
+// Sessions someone is connected to are served from the live cache instead.
+const api = {
+  ...store,
+  async buildState(sessionId) {
+    const live = sessionCache.get(sessionId);
+    if (live) return liveState(sessionId, await live);
+
+    const [state, setlist] = await Promise.all([
+      store.buildState(sessionId),
+      store.getSetlist(sessionId),
+    ]);
+    state.userSongs = await lockedUserSongs(sessionId, state.userSongs);
+    state.maxBoards = (await store.getSessionSettings(sessionId)).maxBoards;
+    state.version = sessionVersions.get(sessionId) || 0;
+    state.lock = sessionLock(sessionId);
+    state.rules = sessionRules(sessionId);
+    return withTemplate(state, sessionTemplate(sessionId), setlist);
+  },
+};
+
+// Locked shows are shown and scored with the picks as they stood at lock
+async function lockedUserSongs(sessionId, userSongs) {
+  const lock = sessionLock(sessionId);
+  if (!lock?.locked) return userSongs;
+  return boardsAtLock(userSongs, await store.listPickHistory({ sessionId }), lock.lockAt);
+}
+
+// Same for flat picks across sessions (leaderboard, tour consensus). Callers pass only the
+// sessions they need; just the locked ones read their history.
+async function lockedPicks(picks) {
+  const sessions = await Promise.all([...groupBoards(picks)].map(async ([sessionId, users]) =>
+    [sessionId, await lockedUserSongs(sessionId, Object.fromEntries(users))]));
+
+  const result = [];
+  for (const [sessionId, boards] of sessions) {
+    for (const [username, board] of Object.entries(boards)) {
+      for (const [slot, value] of Object.entries(board)) result.push({ sessionId, username, slot, value });
+    }
+  }
+  return result;
+}
+
+// Scores the boards and tells the client which slots to render and what they're worth
+function withTemplate(state, template, setlist) {
+  state.template = { id: template.id, title: template.title, points: template.points };
+  state.slots = template.slots;
+  return attachScores(state, setlist, template);
+}
+
+// Set once the store has had its tour dates (seeded, or already there from before markers)
+const TOUR_DATES_SEEDED = 'tour-dates-seeded';
+let tourDatesSeeded = false;
+
+// Reload the tour date cache; seeds a new store from data/tour_dates.json once, so an
+// admin who deletes every date doesn't get them all back on the next refresh
+async function refreshTourDates() {
+  let records = await api.listTourDates();
+  if (!tourDatesSeeded && !await api.hasMarker(TOUR_DATES_SEEDED)) {
+    if (records.length === 0) {
+      for (const rec of SEED_TOUR_DATES) await api.saveTourDate(rec);
+      log.info('TOUR DATES', `seeded ${SEED_TOUR_DATES.length} dates`);
+      records = SEED_TOUR_DATES;
+    }
+    await api.setMarker(TOUR_DATES_SEEDED);
+  }
+  tourDatesSeeded = true;
+
+  tourDates.clear();
+  for (const rec of records) tourDates.set(rec.id, rec);
+  invalidateSongStats();
+}
+
+// Reload the song catalog cache (after every admin write, and at boot)
+async function refreshSongCatalog() {
+  indexSongs(await api.listSongs());
+}
+
+// Song stats for the Bustout rule and /songs/stats, rebuilt after the next setlist, tour
+// date or catalog write. On Firestore the periodic tour date refresh also drops them, which
+// picks up setlists saved by other instances.
+let songStatsCache = null; // Promise<buildSongStats() result>
+
+function songStats() {
+  if (!songStatsCache) {
+    const building = Promise.resolve(api.listSetlists()).then(buildSongStats);
+    building.catch(() => { if (songStatsCache === building) songStatsCache = null; });
+    songStatsCache = building;
+  }
+  return songStatsCache;
+}
+
+function invalidateSongStats() {
+  songStatsCache = null;
+}
+
+// Unknown typed picks pile up as suggestions for an admin to approve or merge
+async function noteSongSuggestion(value, sessionId) {
+  const key = normalizeSongName(value);
+  if (!key) return;
+
+  const now = new Date().toISOString();
+  const existing = await api.getSongSuggestion(key);
+  await api.saveSongSuggestion({
+    key,
+    name: existing?.name || value,
+    count: (existing?.count || 0) + 1,
+    lastSessionId: sessionId,
+    firstSeenAt: existing?.firstSeenAt || now,
+    lastSeenAt: now,
+  });
+}
+
+// ───────────────── App / sockets ─────────────────
+// ✅ IMPORTANT: app must be initialized BEFORE any app.get/app.post usage
+const app = express();
+
+// Every log line written while handling a request carries its id, method and path;
+// one line per finished request (health probes and scrapes aside)
+const QUIET_PATHS = new Set(['/healthz', '/metrics']);
+app.use((req, res, next) => {
+  const requestId = String(req.get('x-request-id') || '').slice(0, 64) || crypto.randomUUID();
+  res.set('X-Request-Id', requestId);
+  const fields = { requestId, method: req.method, path: req.path };
+  const started = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    if (QUIET_PATHS.has(req.path) && res.statusCode < 400) return;
+    const ms = Number(process.hrtime.bigint() - started) / 1e6;
+    log.info('HTTP', `${req.method} ${req.originalUrl} ${res.statusCode}`, { ...fields, status: res.statusCode, ms: Math.round(ms * 10) / 10 });
+  });
+  log.withContext(fields, next);
+});
+
+// backups are bigger than the default 100kb body limit
+app.use('/admin/restore', express.json({ limit: '25mb' }));
+app.use(express.json());
+
+const server = http.createServer(app);
+const io = new Server(server);
+
+// ---------- Rate limits ----------
+// Behind a proxy (Cloud Run, a load balancer) set TRUST_PROXY_HOPS so limits key on the
+// real client address instead of the proxy's.
+const TRUST_PROXY_HOPS = Number(process.env.TRUST_PROXY_HOPS) || 0;
+app.set('trust proxy', TRUST_PROXY_HOPS);
+
+const RATE_LIMITS = {
+  // per address limits are loose: a venue's wifi puts a whole crowd behind one address
+  socket: { limit: 40, windowMs: 10_000 },  // events per connection
+  ip: { limit: 300, windowMs: 10_000 },     // socket events per address, all tabs together
+  join: { limit: 10, windowMs: 60_000 },    // joins per connection (each can add a board)
+  joinIp: { limit: 600, windowMs: 60_000 }, // joins per address: a whole room rejoining after the wifi drops
+  songs: { limit: 120, windowMs: 60_000 },  // /songs requests per address
+  auth: { limit: 10, windowMs: 60_000 },    // admin logins + recovery codes per address (each runs scrypt)
+  claim: { limit: 20, windowMs: 60_000 },   // new-name claims per address (scrypt + a saved player); the page retries
+  rename: { limit: 10, windowMs: 60_000 },  // /players/rename per address (each rewrites every session)
+};
+
+// Fixed windows: hit(key) counts one request and returns 0, or the ms left until key may retry
+function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map(); // key -> { count, resetAt }
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, w] of windows) if (w.resetAt <= now) windows.delete(key);
+  }, windowMs).unref();
+
+  return {
+    hit(key) {
+      const now = Date.now();
+      let w = windows.get(key);
+      if (!w || w.resetAt <= now) {
+        w = { count: 0, resetAt: now + windowMs };
+        windows.set(key, w);
+      }
+      if (w.count >= limit) return w.resetAt - now;
+      w.count++;
+      return 0;
+    },
+  };
+}
+
+const limiters = Object.fromEntries(Object.entries(RATE_LIMITS).map(([name, opts]) => [name, createRateLimiter(opts)]));
+
+// Same answer Express gives for req.ip with the trusted hop count
+function socketIp(socket) {
+  const chain = String(socket.handshake.headers['x-forwarded-for'] || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (!TRUST_PROXY_HOPS || !chain.length) return socket.handshake.address;
+  return chain[Math.max(0, chain.length - TRUST_PROXY_HOPS)];
+}
+
+function rateLimitMessage(waitMs) {
+  return `Slow down — too many requests. Try again in ${Math.ceil(waitMs / 1000)}s.`;
+}
+
+// Express middleware: 429 + Retry-After once an address uses up the limiter
+function rateLimit(name) {
+  return (req, res, next) => {
+    const wait = limiters[name].hit(req.ip);
+    if (!wait) return next();
+    countMetric(metrics.rateLimited, name);
+    const retryAfter = Math.ceil(wait / 1000);
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ error: rateLimitMessage(wait), retryAfter });
+  };
+}
+
+// serve static + pages
+app.use(express.static(path.join(__dirname, 'public')));
+app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
+app.get('/session/:id', (req, res) => res.sendFile(path.join(__dirname, 'session.html')));
+
+// homepage list
+app.get('/sessions', (req, res) => {
+  res.json(sortedTourDates().map(t => {
+    const lock = sessionLock(t.id);
+    return { ...withTitle(t), lockAt: lock?.lockAt || null };
+  }));
+});
+
+// season standings: JSON for fetch/curl, the page for browsers
+app.get('/leaderboard', async (req, res) => {
+  if (req.accepts(['json', 'html']) === 'html') {
+    return res.sendFile(path.join(__dirname, 'leaderboard.html'));
+  }
+
+  const from = sessionDate(req.query.from);
+  const to = sessionDate(req.query.to);
+  const leg = String(req.query.leg || '').trim();
+
+  try {
+    const [picks, setlists] = await Promise.all([api.allPicks(), api.listSetlists()]);
+    const scored = picks.filter(p => setlists.has(p.sessionId)); // only shows with a setlist count
+    res.json(buildLeaderboard(await lockedPicks(scored), setlists, { from, to, leg }));
+  } catch (e) {
+    log.error('GET /leaderboard', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// most-picked songs per slot across the tour (same filters as the leaderboard)
+app.get('/consensus', async (req, res) => {
+  const from = sessionDate(req.query.from);
+  const to = sessionDate(req.query.to);
+  const leg = String(req.query.leg || '').trim();
+
+  try {
+    const { shows, filters } = showsInRange({ from, to, leg });
+    const ids = new Set(shows.map(s => s.id));
+    const picks = (await api.allPicks()).filter(p => ids.has(p.sessionId));
+    const boards = groupBoards(await lockedPicks(picks));
+
+    // every slot name any of these shows' templates use, default template first
+    const slotNames = new Set(slotTemplate().slots.map(s => s.name));
+    for (const show of shows) sessionTemplate(show.id).slots.forEach(s => slotNames.add(s.name));
+
+    res.json({ filters, legs: TOUR_LEGS, shows: boards.size, ...buildConsensus(boards, [...slotNames]) });
+  } catch (e) {
+    log.error('GET /consensus', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// health
+app.get('/healthz', (req, res) => res.send('ok'));
+
+app.get('/session/:id/state', async (req, res) => {
+  try {
+    const sessionId = decodeURIComponent(req.params.id);
+    await api.ensureSession(sessionId);
+    const state = await api.buildState(sessionId);
+    res.json(state);
+  } catch (e) {
+    log.error('GET STATE', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// users, picks and scores: ?format=csv or JSON (default)
+app.get('/session/:id/export', async (req, res) => {
+  try {
+    const sessionId = decodeURIComponent(req.params.id);
+    const state = await api.buildState(sessionId);
+    const file = slugify(sessionId) || 'session';
+
+    if (String(req.query.format || '').toLowerCase() === 'csv') {
+      res.type('text/csv').attachment(`${file}.csv`).send(sessionCsv(state));
+      return;
+    }
+
+    const tourDate = findTourDate(sessionId);
+    res.attachment(`${file}.json`).json({
+      sessionId,
+      title: tourDate ? tourDateTitle(tourDate) : sessionId,
+      exportedAt: new Date().toISOString(),
+      template: state.template,
+      setlist: state.setlist,
+      boards: state.users.map(({ username }) => ({
+        username,
+        picks: state.userSongs[username] || {},
+        score: state.scores?.[username] || null,
+      })),
+    });
+  } catch (e) {
+    log.error('GET EXPORT', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// one board's set / clear / clear-all log, oldest first (any board: everyone sees every
+// board's picks anyway). Who made each change (`by`) stays with admins.
+app.get('/session/:id/history', async (req, res) => {
+  try {
+    const sessionId = decodeURIComponent(req.params.id);
+    const username = String(req.query.username || '').trim() || undefined;
+    const history = await api.listPickHistory({ sessionId, username });
+    res.json({ sessionId, history: history.map(({ by, ...entry }) => entry) });
+  } catch (e) {
+    log.error('GET HISTORY', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ---------- Calendar + share cards ----------
+// absolute links for calendar apps and link previews (honours TRUST_PROXY_HOPS)
+function baseUrl(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+// every listed show, for phone calendars
+app.get('/calendar.ics', (req, res) => {
+  const shows = sortedTourDates().map(withTitle);
+  res.type('text/calendar; charset=utf-8').send(tourCalendar(shows, baseUrl(req)));
+});
+
+// -> { sessionId, title, username, slots, picks, score } or null when there's no such board
+async function shareCard(rawId, rawUser) {
+  const sessionId = decodeURIComponent(rawId);
+  const state = await api.buildState(sessionId);
+  const wanted = decodeURIComponent(rawUser);
+  const board = state.users.find(u => u.username === wanted) ||
+    state.users.find(u => playerKey(u.username) === playerKey(wanted));
+  if (!board) return null;
+
+  const tourDate = findTourDate(sessionId);
+  return {
+    sessionId,
+    title: tourDate ? tourDateTitle(tourDate) : sessionId,
+    username: board.username,
+    slots: state.slots,
+    picks: state.userSongs[board.username] || {},
+    score: state.scores?.[board.username] || null,
+  };
+}
+
+app.get('/session/:id/u/:username/card.svg', async (req, res) => {
+  try {
+    const card = await shareCard(req.params.id, req.params.username);
+    if (!card) return res.status(404).type('text/plain').send('No such board');
+    res.set('Cache-Control', 'public, max-age=300');
+    res.type('image/svg+xml').send(boardCardSvg(card));
+  } catch (e) {
+    log.error('GET CARD', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Link-preview crawlers won't render SVG, so og:image is a PNG of the same card. The fonts ship
+// with the app: slim server images often have none, and the card is all text.
+const CARD_FONT_DIR = path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+
+async function boardCardPng(card) {
+  const { renderAsync } = require('@resvg/resvg-js');
+  const image = await renderAsync(boardCardSvg(card), {
+    font: {
+      fontFiles: ['DejaVuSans.ttf', 'DejaVuSans-Bold.ttf'].map(file => path.join(CARD_FONT_DIR, file)),
+      loadSystemFonts: false,
+      defaultFontFamily: 'DejaVu Sans',
+      sansSerifFamily: 'DejaVu Sans',
+    },
+  });
+  return image.asPng();
+}
+
+app.get('/session/:id/u/:username/card.png', async (req, res) => {
+  try {
+    const card = await shareCard(req.params.id, req.params.username);
+    if (!card) return res.status(404).type('text/plain').send('No such board');
+    const png = await boardCardPng(card);
+    res.set('Cache-Control', 'public, max-age=300');
+    res.type('image/png').send(png);
+  } catch (e) {
+    log.error('GET CARD PNG', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Link previews in group chats read the Open Graph tags; people get the card and a way in
+app.get('/session/:id/u/:username', async (req, res) => {
+  try {
+    const card = await shareCard(req.params.id, req.params.username);
+    if (!card) return res.status(404).type('text/plain').send('No such board');
+
+    const base = baseUrl(req);
+    const sessionUrl = `${base}/session/${encodeURIComponent(card.sessionId)}`;
+    const pageUrl = `${sessionUrl}/u/${encodeURIComponent(card.username)}`;
+    const imageUrl = `${pageUrl}/card.png`;
+    const svgUrl = `${pageUrl}/card.svg`;
+    const heading = `${card.username}'s setlist picks`;
+    const picked = card.slots.filter(s => card.picks[s.name]).map(s => `${s.name}: ${card.picks[s.name]}`);
+    const description = (card.score ? `${card.score.total} pts, ${card.score.hits} hits. ` : '') +
+      (picked.length ? picked.join(' • ') : 'No picks yet.');
+
+    res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <title>${escapeHtml(heading)} — ${escapeHtml(card.title)}</title>
+  <meta name="description" content="${escapeHtml(description)}" />
+  <meta property="og:type" content="website" />
+  <meta property="og:site_name" content="Pigeons Setlist Picker" />
+  <meta property="og:title" content="${escapeHtml(`${heading} — ${card.title}`)}" />
+  <meta property="og:description" content="${escapeHtml(description)}" />
+  <meta property="og:url" content="${escapeHtml(pageUrl)}" />
+  <meta property="og:image" content="${escapeHtml(imageUrl)}" />
+  <meta property="og:image:type" content="image/png" />
+  <meta property="og:image:width" content="1200" />
+  <meta property="og:image:height" content="630" />
+  <meta name="twitter:card" content="summary_large_image" />
+  <meta name="twitter:image" content="${escapeHtml(imageUrl)}" />
+  <link rel="alternate" type="image/svg+xml" href="${escapeHtml(svgUrl)}" />
+  <style>
+    body { margin: 0; padding: 1.5rem; background: #020617; color: #e2e8f0; font-family: system-ui, -apple-system, Segoe UI, sans-serif; }
+    main { max-width: 900px; margin: 0 auto; display: flex; flex-direction: column; gap: 1rem; }
+    img { width: 100%; height: auto; border-radius: .9rem; }
+    a { color: #22c55e; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1 style="margin:0; font-size:1.3rem;">${escapeHtml(heading)}</h1>
+    <div style="color:#94a3b8;">${escapeHtml(card.title)}</div>
+    <img src="${escapeHtml(svgUrl)}" alt="${escapeHtml(description)}" width="1200" height="630" />
+    <a href="${escapeHtml(sessionUrl)}">Make your own picks for this show →</a>
+  </main>
+</body>
+</html>
+`);
+  } catch (e) {
+    log.error('GET SHARE PAGE', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/session/:id/consensus', async (req, res) => {
+  try {
+    const sessionId = decodeURIComponent(req.params.id);
+    const state = await api.buildState(sessionId);
+    const users = new Map(state.users.map(u => [u.username, state.userSongs[u.username] || {}]));
+    const slotNames = sessionTemplate(sessionId).slots.map(s => s.name);
+    res.json(buildConsensus(new Map([[sessionId, users]]), slotNames));
+  } catch (e) {
+    log.error('GET CONSENSUS', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ───────────────── Admin auth ─────────────────
+// ADMIN_USERS="zaq:scrypt:<salt>:<hash>,zack:scrypt:<salt>:<hash>"
+// (generate entries with scripts/hash_password.js)
+const ADMIN_USERS = new Map(
+  String(process.env.ADMIN_USERS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const i = entry.indexOf(':');
+      return [entry.slice(0, i).trim().toLowerCase(), entry.slice(i + 1).trim()];
+    })
+);
+
+const ADMIN_COOKIE = 'admin_session';
+const ADMIN_TOKEN_TTL_MS = 12 * 60 * 60 * 1000;
+
+// Without ADMIN_SECRET tokens are signed with a per-process key (logins reset on restart)
+const ADMIN_SECRET = process.env.ADMIN_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.ADMIN_SECRET) log.warn('ADMIN', 'ADMIN_SECRET not set → admin logins reset on restart');
+if (!ADMIN_USERS.size) log.warn('ADMIN', 'ADMIN_USERS not set → admin routes are unavailable');
+
+// scrypt off the event loop: a burst of logins or claims mustn't stall every socket
+const scrypt = promisify(crypto.scrypt);
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function signAdminToken(name) {
+  const payload = Buffer.from(JSON.stringify({ sub: name, exp: Date.now() + ADMIN_TOKEN_TTL_MS })).toString('base64url');
+  const sig = crypto.createHmac('sha256', ADMIN_SECRET).update(payload).digest('base64url');
+  return `${payload}.${sig}`;
+}
+
+// Returns the admin name for a valid, unexpired token, else null
+function verifyAdminToken(token) {
+  const [payload, sig] = String(token || '').split('.');
+  if (!payload || !sig) return null;
+
+  const expected = crypto.createHmac('sha256', ADMIN_SECRET).update(payload).digest();
+  const given = Buffer.from(sig, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+  try {
+    const { sub, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (!ADMIN_USERS.has(sub) || Date.now() > exp) return null;
+    return sub;
+  } catch {
+    return null;
+  }
+}
+
+function readCookie(header, name) {
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i > -1 && part.slice(0, i).trim() === name) return decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return null;
+}
+
+// Cookie for the browser, Bearer token for curl/scripts
+function adminFromRequest(req) {
+  const auth = String(req.get('authorization') || '');
+  const token = auth.startsWith('Bearer ') ? auth.slice(7) : readCookie(req.get('cookie'), ADMIN_COOKIE);
+  return verifyAdminToken(token);
+}
+
+function requireAdmin(req, res, next) {
+  const admin = adminFromRequest(req);
+  if (!admin) return res.status(401).json({ error: 'Admin login required' });
+  req.admin = admin;
+  next();
+}
+
+app.post('/admin/login', rateLimit('auth'), async (req, res) => {
+  const name = String(req.body?.name || '').trim().toLowerCase();
+  const password = String(req.body?.password || '');
+  const stored = ADMIN_USERS.get(name);
+
+  if (!stored || !await verifyPassword(password, stored)) {
+    return res.status(401).json({ error: 'Wrong name or password' });
+  }
+
+  const token = signAdminToken(name);
+  res.cookie(ADMIN_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure,
+    maxAge: ADMIN_TOKEN_TTL_MS,
+  });
+  res.json({ ok: true, name, token });
+});
+
+app.post('/admin/logout', (req, res) => {
+  res.clearCookie(ADMIN_COOKIE);
+  res.json({ ok: true });
+});
+
+app.get('/admin/me', (req, res) => {
+  res.json({ admin: adminFromRequest(req) });
+});
+
+// ───────────────── Players ─────────────────
+// The first device to join with a name claims it and gets a token (kept in
+// localStorage). Other devices need the recovery code shown at claim time.
+const PLAYER_MAX_DEVICES = 5;
+const RECOVERY_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O, 1/I
+
+// "  Andy  Z " -> "andy z"
+function playerKey(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
 
-// ───────────────── DB mode detection ─────────────────
-const DB_DISABLED =
-  String(process.env.DISABLE_DB || '').trim() === '1';
+const USERNAME_MAX = 32;
 
-console.log('[BOOT]', DB_DISABLED ? 'DB DISABLED → using in-memory' : 'DB ENABLED → using Firestore');
+// Display names: letters, numbers, spaces and . ' _ - ; whitespace collapsed. Throws.
+function cleanUsername(name) {
+  const clean = String(name || '').normalize('NFC').trim().replace(/\s+/g, ' ');
+  if (!clean) throw new Error('Enter a name.');
+  if (clean.length > USERNAME_MAX) throw new Error(`Names can be at most ${USERNAME_MAX} characters.`);
+  if (!/^[\p{L}\p{N}][\p{L}\p{N} .'_-]*$/u.test(clean)) {
+    throw new Error("Names can only use letters, numbers, spaces and . ' _ -");
+  }
+  return clean;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Same "scrypt:<salt>:<hash>" format verifyPassword() reads
+async function hashSecret(secret) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return `scrypt:${salt}:${(await scrypt(String(secret), salt, 64)).toString('hex')}`;
+}
+
+// "K7QF-9XMB-T2HD-PW4C"
+function newRecoveryCode() {
+  const chars = Array.from(crypto.randomBytes(16), b => RECOVERY_ALPHABET[b % RECOVERY_ALPHABET.length]);
+  return chars.join('').match(/.{4}/g).join('-');
+}
+
+function cleanRecoveryCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// Adds a device token to the claim (oldest device drops off) and returns it
+function issueDeviceToken(player) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  player.tokenHashes = [hashToken(token), ...(player.tokenHashes || [])].slice(0, PLAYER_MAX_DEVICES);
+  return token;
+}
+
+function hasDeviceToken(player, token) {
+  return !!token && (player.tokenHashes || []).includes(hashToken(token));
+}
+
+// { player, token?, recoveryCode? } — claims unclaimed names; null on a token mismatch,
+// { wait } (ms) once ip has claimed too many names lately
+async function claimOrVerify(username, token, ip) {
+  const key = playerKey(username);
+  const existing = await api.getPlayer(key);
+  if (existing) return hasDeviceToken(existing, token) ? { player: existing } : null;
+
+  const wait = limiters.claim.hit(ip);
+  if (wait) {
+    countMetric(metrics.rateLimited, 'claim');
+    return { wait };
+  }
+
+  const recoveryCode = newRecoveryCode();
+  const player = {
+    key,
+    name: username,
+    recoveryHash: await hashSecret(cleanRecoveryCode(recoveryCode)),
+    tokenHashes: [],
+    createdAt: new Date().toISOString(),
+  };
+  const newToken = issueDeviceToken(player);
+  await api.savePlayer(player);
+  return { player, token: newToken, recoveryCode };
+}
+
+// New device: trade the recovery code for a device token
+app.post('/players/recover', rateLimit('auth'), async (req, res) => {
+  const username = String(req.body?.username || '').trim();
+  const code = cleanRecoveryCode(req.body?.recoveryCode);
+  if (!username || !code) return res.status(400).json({ error: 'Missing name or recovery code' });
+
+  try {
+    const player = await api.getPlayer(playerKey(username));
+    if (!player) return res.status(404).json({ error: 'That name is not claimed yet — just join with it.' });
+    if (!await verifyPassword(code, player.recoveryHash)) return res.status(401).json({ error: 'Wrong recovery code' });
+
+    const token = issueDeviceToken(player);
+    await api.savePlayer(player);
+    res.json({ ok: true, username: player.name, token });
+  } catch (e) {
+    log.error('POST /players/recover', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Rename a claimed player; boards (and hosting) in every session follow the new name
+app.post('/players/rename', rateLimit('rename'), async (req, res) => {
+  const username = String(req.body?.username || '').trim();
+  let newName;
+  try {
+    newName = cleanUsername(req.body?.newName);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  try {
+    const player = await api.getPlayer(playerKey(username));
+    if (!player || !hasDeviceToken(player, req.body?.token)) {
+      return res.status(401).json({ error: 'Not signed in as that player' });
+    }
+
+    // nothing to move (a case-only change like "andy" -> "Andy" still renames)
+    if (newName === player.name) return res.json({ ok: true, username: player.name });
+
+    const newKey = playerKey(newName);
+    if (newKey !== player.key && await api.getPlayer(newKey)) {
+      return res.status(409).json({ error: `"${newName}" is already claimed` });
+    }
+
+    const touched = await api.renameUser(player.name, newName);
+    await api.savePlayer({ ...player, key: newKey, name: newName });
+    if (newKey !== player.key) await api.deletePlayer(player.key);
+
+    for (const who of socketMap.values()) {
+      if (who.playerKey !== player.key) continue;
+      who.username = newName;
+      who.playerKey = newKey;
+    }
+    for (const sessionId of touched) await reloadLiveSession(sessionId);
+
+    res.json({ ok: true, username: newName });
+  } catch (e) {
+    log.error('POST /players/rename', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ───────────────── Tour dates (admin) ─────────────────
+app.get('/admin', (req, res) => res.sendFile(path.join(__dirname, 'admin.html')));
+
+app.get('/admin/tour-dates', requireAdmin, (req, res) => {
+  res.json({
+    tourDates: sortedTourDates({ includeHidden: true }).map(withTitle),
+    pickRuleDefaults: PICK_RULE_DEFAULTS,
+    slotTemplates: SLOT_TEMPLATES,
+    defaultSlotTemplate: DEFAULT_SLOT_TEMPLATE,
+  });
+});
+
+app.post('/admin/tour-dates', requireAdmin, async (req, res) => {
+  let rec;
+  try {
+    rec = cleanTourDate(req.body);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  try {
+    rec = { id: newTourDateId(rec), ...rec };
+    await api.saveTourDate(rec);
+    tourDates.set(rec.id, rec);
+    invalidateSongStats();
+    res.status(201).json({ ok: true, tourDate: withTitle(rec) });
+  } catch (e) {
+    log.error('POST TOUR DATE', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Partial update; cancel/hide are just { cancelled: true } / { hidden: true }
+app.put('/admin/tour-dates/:id', requireAdmin, async (req, res) => {
+  const existing = findTourDate(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Unknown tour date' });
+
+  let rec;
+  try {
+    rec = { id: existing.id, ...cleanTourDate({ ...existing, ...req.body }) };
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
 
-// ───────────────── Firestore init ─────────────────
-let firestore = null;
+  try {
+    await api.saveTourDate(rec);
+    tourDates.set(rec.id, rec);
+    invalidateSongStats();
+    // open boards re-render with the new slots (or the picks as of a moved lock time)
+    const changed = f => (existing[f] || null) !== (rec[f] || null);
+    const lockMoved = ['date', 'startTime', 'timeZone'].some(changed);
+    if (lockMoved) rescheduleLock(rec.id);
+    if (lockMoved || changed('slotTemplate')) await reloadLiveSession(rec.id);
+    res.json({ ok: true, tourDate: withTitle(rec) });
+  } catch (e) {
+    log.error('PUT TOUR DATE', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Removes the listing only; picks and setlists for the id stay put
+app.delete('/admin/tour-dates/:id', requireAdmin, async (req, res) => {
+  if (!findTourDate(req.params.id)) return res.status(404).json({ error: 'Unknown tour date' });
+
+  try {
+    await api.deleteTourDate(req.params.id);
+    tourDates.delete(req.params.id);
+    invalidateSongStats();
+    rescheduleLock(req.params.id); // back to the date in the id and the default start time
+    res.json({ ok: true });
+  } catch (e) {
+    log.error('DELETE TOUR DATE', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ───────────────── Setlists ─────────────────
+app.get('/session/:id/setlist', async (req, res) => {
+  try {
+    const sessionId = decodeURIComponent(req.params.id);
+    res.json({ setlist: await api.getSetlist(sessionId) });
+  } catch (e) {
+    log.error('GET SETLIST', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.put('/session/:id/setlist', requireAdmin, async (req, res) => {
+  const sessionId = decodeURIComponent(req.params.id);
+
+  let setlist;
+  try {
+    setlist = cleanSetlist(req.body);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  try {
+    await api.ensureSession(sessionId);
+    await api.saveSetlist(sessionId, setlist);
+    invalidateSongStats();
+    await recordChange(sessionId, { type: 'setlist', setlist });
+    res.json({ ok: true, setlist });
+  } catch (e) {
+    log.error('PUT SETLIST', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.delete('/session/:id/setlist', requireAdmin, async (req, res) => {
+  try {
+    const sessionId = decodeURIComponent(req.params.id);
+    await api.deleteSetlist(sessionId);
+    invalidateSongStats();
+    await recordChange(sessionId, { type: 'setlist', setlist: null });
+    res.json({ ok: true });
+  } catch (e) {
+    log.error('DELETE SETLIST', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// paste-in import: parse only; the page loads the result into the editor to review and save
+app.post('/setlists/parse', requireAdmin, (req, res) => {
+  try {
+    res.json(parseSetlistText(req.body?.text));
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// ---------- Live mode: songs tapped in as the band plays them ----------
+app.post('/session/:id/setlist/songs', requireAdmin, async (req, res) => {
+  const sessionId = decodeURIComponent(req.params.id);
+
+  let song;
+  try {
+    song = cleanSetlistSong(req.body);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  // taps snap to the catalog spelling so they score like picks do
+  song.name = matchSong(song.name)?.song.name || song.name;
+
+  try {
+    const result = await serializeWrites(`${sessionId}|#setlist`, async () => {
+      const songs = (await api.getSetlist(sessionId))?.songs || [];
+      if (songs.length >= MAX_SETLIST_SONGS) return { status: 400, error: 'Too many songs' };
+      if (!songs.length) song.segue = false;
+
+      const setlist = { songs: [...songs, song], updatedAt: new Date().toISOString() };
+      await api.ensureSession(sessionId);
+      await api.saveSetlist(sessionId, setlist);
+      invalidateSongStats();
+      await recordChange(sessionId, { type: 'setlist', setlist });
+      return { ok: true, song, position: setlist.songs.length, setlist };
+    });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json(result);
+  } catch (e) {
+    log.error('PLAYED SONG', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Undo for mis-taps: drops the last song (and the whole setlist once it's empty)
+app.delete('/session/:id/setlist/songs/last', requireAdmin, async (req, res) => {
+  const sessionId = decodeURIComponent(req.params.id);
+
+  try {
+    const result = await serializeWrites(`${sessionId}|#setlist`, async () => {
+      const songs = (await api.getSetlist(sessionId))?.songs || [];
+      if (!songs.length) return { status: 404, error: 'No songs to undo' };
+
+      const removed = songs[songs.length - 1];
+      let setlist = null;
+      if (songs.length > 1) {
+        setlist = { songs: songs.slice(0, -1), updatedAt: new Date().toISOString() };
+        await api.saveSetlist(sessionId, setlist);
+      } else {
+        await api.deleteSetlist(sessionId);
+      }
+      invalidateSongStats();
+      await recordChange(sessionId, { type: 'setlist', setlist });
+      return { ok: true, removed, setlist };
+    });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json(result);
+  } catch (e) {
+    log.error('UNDO SONG', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// dbcheck
+// The active store plus any other backend the environment configures; 500 if any fails.
+// Text by default ("sqlite (active): SQLITE OK (2ms)" per line), ?format=json for tooling.
+const checkStores = new Map([[DB_BACKEND, store]]);
+
+app.get('/dbcheck', async (req, res) => {
+  const results = await Promise.all(configuredBackends().map(async backend => {
+    const started = Date.now();
+    try {
+      if (!checkStores.has(backend)) checkStores.set(backend, createCheckStore(backend));
+      const status = await checkStores.get(backend).ping();
+      return { backend, active: backend === DB_BACKEND, ok: true, status, ms: Date.now() - started };
+    } catch (e) {
+      log.error('DBCHECK', e, { backend });
+      return { backend, active: backend === DB_BACKEND, ok: false, status: 'DB FAIL: ' + e.message, ms: Date.now() - started };
+    }
+  }));
+
+  res.status(results.every(r => r.ok) ? 200 : 500);
+  if (String(req.query.format || '').toLowerCase() === 'json') return res.json({ backends: results });
+  res.type('text').send(results.map(r => `${r.backend}${r.active ? ' (active)' : ''}: ${r.status} (${r.ms}ms)`).join('\n') + '\n');
+});
+
+// ---------- Prometheus ----------
+function metricLabels(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${String(v).replace(/[\\"\n]/g, c => (c === '\n' ? '\\n' : '\\' + c))}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function renderMetrics() {
+  const lines = [];
+  const family = (name, type, help) => lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+  const sample = (name, labels, value) => lines.push(`${name}${metricLabels(labels)} ${value}`);
+
+  // anyone can open a session under any id, so only listed shows get their own label
+  family('pigeons_socket_connections', 'gauge', 'Sockets in each listed show\'s room (players and spectators); other sessions as room="other".');
+  const rooms = new Map();
+  for (const [room, sockets] of io.sockets.adapter.rooms) {
+    if (io.sockets.sockets.has(room)) continue; // every socket's private room
+    const label = findTourDate(room) ? room : 'other';
+    rooms.set(label, (rooms.get(label) || 0) + sockets.size);
+  }
+  for (const [room, n] of rooms) sample('pigeons_socket_connections', { room }, n);
+  family('pigeons_sockets_connected', 'gauge', 'Connected sockets.');
+  sample('pigeons_sockets_connected', {}, io.sockets.sockets.size);
+  family('pigeons_live_sessions', 'gauge', 'Sessions held in the live cache.');
+  sample('pigeons_live_sessions', {}, sessionCache.size);
+
+  family('pigeons_socket_events_total', 'counter', 'Socket events received, by event.');
+  for (const [event, n] of metrics.socketEvents) sample('pigeons_socket_events_total', { event }, n);
+  family('pigeons_rate_limited_total', 'counter', 'Requests and socket events refused by a rate limit.');
+  for (const [limiter, n] of metrics.rateLimited) sample('pigeons_rate_limited_total', { limiter }, n);
+
+  family('pigeons_api_call_duration_seconds', 'histogram', `Storage backend (${DB_BACKEND}) call latency, by api method.`);
+  for (const [method, h] of metrics.apiCalls) {
+    LATENCY_BUCKETS.forEach((le, i) => sample('pigeons_api_call_duration_seconds_bucket', { method, le }, h.counts[i]));
+    sample('pigeons_api_call_duration_seconds_bucket', { method, le: '+Inf' }, h.count);
+    sample('pigeons_api_call_duration_seconds_sum', { method }, h.sum);
+    sample('pigeons_api_call_duration_seconds_count', { method }, h.count);
+  }
+  family('pigeons_api_call_errors_total', 'counter', 'Storage backend calls that threw, by api method.');
+  for (const [method, n] of metrics.apiErrors) sample('pigeons_api_call_errors_total', { method }, n);
+
+  family('pigeons_errors_total', 'counter', 'Errors logged, by log tag (SET-SONG, JOIN, ...).');
+  for (const [tag, n] of log.errorCounts) sample('pigeons_errors_total', { tag }, n);
+
+  family('process_resident_memory_bytes', 'gauge', 'Resident memory size in bytes.');
+  sample('process_resident_memory_bytes', {}, process.memoryUsage().rss);
+  family('process_uptime_seconds', 'gauge', 'Seconds since the server started.');
+  sample('process_uptime_seconds', {}, Math.round(process.uptime()));
+
+  return lines.join('\n') + '\n';
+}
+
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
 
-function getFirestore() {
-  if (DB_DISABLED) return null;
-  if (firestore) return firestore;
-const { Firestore } = require('@google-cloud/firestore');
+// ───────────────── Backup / restore ─────────────────
+// Whole-tour JSON written and read through the store API, so a backup from one backend
+// restores into any other. Restore writes on top of what's there; it never deletes.
+const BACKUP_FORMAT = 1;
+
+async function buildBackup() {
+  const [tourDates, songs, songSuggestions, players, setlists, sessionIds] = await Promise.all([
+    api.listTourDates(), api.listSongs(), api.listSongSuggestions(), api.listPlayers(),
+    api.listSetlists(), api.listSessions(),
+  ]);
+
+  const sessions = [];
+  for (const id of sessionIds) {
+    const state = await store.buildState(id);
+    const picks = [];
+    for (const [username, board] of Object.entries(state.userSongs)) {
+      for (const [slot, value] of Object.entries(board)) {
+        picks.push({ username, slot, value, rev: state.pickRevs[username]?.[slot] || 1 });
+      }
+    }
+    // the pick history goes along: locked shows are scored from it (boardsAtLock)
+    const history = (await store.listPickHistory({ sessionId: id })).map(({ sessionId, ...entry }) => entry);
+    const settings = await store.getSessionSettings(id);
+    sessions.push({ id, users: state.users.map(u => u.username), picks, history, settings });
+  }
 
-const PROJECT_ID =
-  process.env.FIREBASE_PROJECT_ID ||
-  process.env.GCLOUD_PROJECT ||
-  process.env.GCP_PROJECT;
+  return {
+    format: BACKUP_FORMAT,
+    exportedAt: new Date().toISOString(),
+    backend: DB_BACKEND,
+    tourDates,
+    songs,
+    songSuggestions,
+    players,
+    setlists: Object.fromEntries(setlists),
+    sessions,
+  };
+}
 
-const DATABASE_ID = process.env.FIRESTORE_DATABASE_ID || '(default)';
+const HISTORY_ACTIONS = new Set(['set', 'clear', 'clear-all']);
+const optionalString = value => value === null || value === undefined || typeof value === 'string';
 
-const db = new Firestore({
-  projectId: PROJECT_ID,
-  databaseId: DATABASE_ID,
-});
+function isHistoryEntry(e) {
+  return !!e && typeof e.username === 'string' && !!e.username && HISTORY_ACTIONS.has(e.action) &&
+    typeof e.at === 'string' && !Number.isNaN(Date.parse(e.at)) &&
+    optionalString(e.slot) && optionalString(e.value) && optionalString(e.by);
+}
 
+// a claimed name as savePlayer() stores it
+function isPlayerRecord(p) {
+  return !!p && typeof p.name === 'string' && !!p.name.trim() && p.key === playerKey(p.name) &&
+    typeof p.recoveryHash === 'string' && Array.isArray(p.tokenHashes) &&
+    p.tokenHashes.every(h => typeof h === 'string') && optionalString(p.createdAt);
+}
 
-  if (!PROJECT_ID) {
-    throw new Error('Missing project id. Set FIREBASE_PROJECT_ID (or GCLOUD_PROJECT).');
+// Throws on anything that doesn't look like buildBackup() output
+function cleanBackup(input) {
+  if (!input || input.format !== BACKUP_FORMAT) throw new Error(`Expected a backup with format ${BACKUP_FORMAT}`);
+  const list = (key) => {
+    const value = input[key] ?? [];
+    if (!Array.isArray(value)) throw new Error(`${key} must be a list`);
+    return value;
+  };
+  const setlists = input.setlists ?? {};
+  if (typeof setlists !== 'object' || Array.isArray(setlists)) throw new Error('setlists must be an object');
+
+  const backup = {
+    tourDates: list('tourDates'),
+    songs: list('songs'),
+    songSuggestions: list('songSuggestions'),
+    players: list('players'),
+    sessions: list('sessions'),
+    setlists: Object.entries(setlists).map(([id, setlist]) => {
+      const cleaned = cleanSetlist(setlist);
+      return [id, { ...cleaned, updatedAt: setlist.updatedAt || cleaned.updatedAt }];
+    }),
+  };
+  // the same checks as the admin forms, so nothing restored can trip up /sessions later
+  backup.tourDates = backup.tourDates.map(t => {
+    if (!t?.id || typeof t.id !== 'string') throw new Error('Every tour date needs an id');
+    try {
+      return { id: t.id, ...cleanTourDate(t) };
+    } catch (e) {
+      throw new Error(`Tour date ${t.id}: ${e.message}`);
+    }
+  });
+  backup.songs = backup.songs.map(song => {
+    try {
+      return cleanSong(song);
+    } catch (e) {
+      throw new Error(`Song ${song?.name || '(no name)'}: ${e.message}`);
+    }
+  });
+  if (backup.songSuggestions.some(s => !s?.key)) throw new Error('Every song suggestion needs a key');
+  const badPlayer = backup.players.find(p => !isPlayerRecord(p));
+  if (badPlayer) throw new Error(`Player ${badPlayer?.key || badPlayer?.name || '(no key)'} is malformed`);
+  for (const session of backup.sessions) {
+    if (!session?.id) throw new Error('Every session needs an id');
+    if (!Array.isArray(session.users) || !Array.isArray(session.picks)) {
+      throw new Error(`Session ${session.id} needs users and picks lists`);
+    }
+    if (session.picks.some(p => !p?.username || !p.slot || typeof p.slot !== 'string' || !p.value)) {
+      throw new Error(`Session ${session.id} has a malformed pick`);
+    }
+    // older backups have no history
+    session.history = session.history ?? [];
+    if (!Array.isArray(session.history) || session.history.some(e => !isHistoryEntry(e))) {
+      throw new Error(`Session ${session.id} has a malformed pick history entry`);
+    }
+    // boardsAtLock compares times as ISO strings
+    session.history = session.history.map(e => ({ ...e, at: new Date(e.at).toISOString() }));
+    // { owner, maxBoards }; older backups have none and leave the session's as they are
+    session.settings = session.settings ?? null;
+    if (session.settings !== null) {
+      const { owner = null, maxBoards = null } = session.settings;
+      if (typeof session.settings !== 'object' || !optionalString(owner)) {
+        throw new Error(`Session ${session.id} has malformed settings`);
+      }
+      try {
+        session.settings = { owner: owner?.trim() || null, maxBoards: cleanMaxBoards(maxBoards) };
+      } catch (e) {
+        throw new Error(`Session ${session.id}: ${e.message}`);
+      }
+    }
   }
-
-  firestore = new Firestore({ projectId: PROJECT_ID, databaseId: DATABASE_ID });
-  console.log('[FIRESTORE]', `projectId=${PROJECT_ID} databaseId=${DATABASE_ID}`);
-  return firestore;
+  return backup;
 }
 
-// ───────────────── Data layer ─────────────────
-const SONG_SLOTS = [
-  'Opener',
-  'Song 2',
-  'Song 3',
-  'Song 4',
-  'Song 5',
-  'Song 6',
-  'Encore',
-  'Cover',
-  'Bustout',
-];
-
-const PRESET_SESSIONS = [
-  { id: '2025-12-19-port-chester-ny-capitol-1', title: 'Dec 19, 2025 — The Capitol Theatre (Port Chester, NY)' },
-  { id: '2025-12-20-port-chester-ny-capitol-2', title: 'Dec 20, 2025 — The Capitol Theatre (Port Chester, NY)' },
-  { id: '2025-12-30-denver-co-ogden-1', title: 'Dec 30, 2025 — Ogden Theatre (Denver, CO)' },
-  { id: '2025-12-31-denver-co-ogden-2', title: 'Dec 31, 2025 — Ogden Theatre (Denver, CO)' },
-
-  { id: '2026-01-23-baltimore-md-soundstage-1', title: 'Jan 23, 2026 — Baltimore Soundstage (Baltimore, MD)' },
-  { id: '2026-01-24-baltimore-md-soundstage-2', title: 'Jan 24, 2026 — Baltimore Soundstage (Baltimore, MD)' },
-
-  { id: '2026-02-06-pittsburgh-pa-mr-smalls-1', title: 'Feb 6, 2026 — Mr. Smalls Theatre (Pittsburgh, PA)' },
-  { id: '2026-02-07-pittsburgh-pa-mr-smalls-2', title: 'Feb 7, 2026 — Mr. Smalls Theatre (Pittsburgh, PA)' },
-
-  { id: '2026-02-26-burlington-vt-higher-ground-1', title: 'Feb 26, 2026 — Higher Ground (Burlington, VT)' },
-  { id: '2026-02-27-portland-me-state-theatre-1', title: 'Feb 27, 2026 — State Theatre (Portland, ME)' },
-  { id: '2026-02-28-albany-ny-empire-live-1', title: 'Feb 28, 2026 — Empire Live (Albany, NY)' },
-
-  { id: '2026-03-04-savannah-ga-victory-north-1', title: 'Mar 4, 2026 — Victory North (Savannah, GA)' },
-  { id: '2026-03-05-jacksonville-fl-intuition-ale-works-1', title: 'Mar 5, 2026 — Intuition Ale Works (Jacksonville, FL)' },
-
-  { id: '2026-03-06-sanford-fl-tuffys-outdoor-stage-1', title: "Mar 6, 2026 — Tuffy's Outdoor Stage (Sanford, FL)" },
-  { id: '2026-03-07-st-petersburg-fl-jannus-live-1', title: 'Mar 7, 2026 — Jannus Live (St. Petersburg, FL)' },
-  { id: '2026-03-08-fort-lauderdale-fl-culture-room-1', title: 'Mar 8, 2026 — Culture Room (Fort Lauderdale, FL)' },
-
-  { id: '2026-03-10-birmingham-al-workplay-theatre-1', title: 'Mar 10, 2026 — WorkPlay Theatre (Birmingham, AL)' },
-  { id: '2026-03-11-nashville-tn-the-basement-east-1', title: 'Mar 11, 2026 — The Basement East (Nashville, TN)' },
-  { id: '2026-03-12-indianapolis-in-the-vogue-theatre-1', title: 'Mar 12, 2026 — The Vogue Theatre (Indianapolis, IN)' },
-  { id: '2026-03-13-detroit-mi-saint-andrews-hall-1', title: "Mar 13, 2026 — Saint Andrew's Hall (Detroit, MI)" },
-  { id: '2026-03-14-columbus-oh-the-bluestone-1', title: 'Mar 14, 2026 — The Bluestone (Columbus, OH)' },
-  { id: '2026-03-28-estes-park-co-frozen-dead-guy-days-coffin-race-1', title: 'Mar 28, 2026 — Frozen Dead Guy Days & Coffin Race (Estes Park, CO)' },
-  { id: '2026-04-11-norfolk-va-the-norva', title: 'Apr 11, 2026 — The NorVa (Norfolk, VA)' },
-  { id: '2026-04-24-buffalo-ny-town-ballroom', title: 'Apr 24, 2026 — Town Ballroom (Buffalo, NY)' },
-  { id: '2026-04-25-buffalo-ny-town-ballroom', title: 'Apr 25, 2026 — Town Ballroom (Buffalo, NY)' },
-  { id: '2026-04-30-stroudsburg-pa-sherman-theater', title: 'Apr 30, 2026 — Sherman Theater (Stroudsburg, PA)' },
-  { id: '2026-05-01-harrisburg-pa-xl-live', title: 'May 1, 2026 — XL Live (Harrisburg, PA)' },
-  { id: '2026-05-01-harrisburg-pa-xl-live-2-night-pass', title: 'May 1–2, 2026 — 2-Night Pass (Harrisburg, PA)' },
-  { id: '2026-05-02-harrisburg-pa-xl-live', title: 'May 2, 2026 — XL Live (Harrisburg, PA)' },
-  { id: '2026-05-03-baltimore-md-the-8x10', title: 'May 3, 2026 — The 8x10 (Baltimore, MD)' },
-  { id: '2026-05-07-san-jose-del-cabo-viva-el-gonzo', title: 'May 7–9, 2026 — Viva El Gonzo (San José del Cabo, Baja California)' },
-  { id: '2026-06-06-pennsauken-nj-island-jam', title: 'Jun 6, 2026 — Island Jam (Pennsauken, NJ)' },
-  { id: '2026-06-07-dewey-beach-de-bottle-and-cork', title: 'Jun 7, 2026 — Bottle & Cork (Dewey Beach, DE)' },
-  { id: '2026-06-21-freehold-nj-parkstage', title: "Jun 21, 2026 — ParkStage (Freehold, NJ)" },
-  { id: '2026-06-23-charleston-sc-the-charleston-pour-house', title: 'Jun 23, 2026 — The Charleston Pour House (Charleston, SC)' },
-  { id: '2026-06-24-charleston-sc-the-charleston-pour-house', title: 'Jun 24, 2026 — The Charleston Pour House (Charleston, SC)' },
-  { id: '2026-06-26-raleigh-nc-lincoln-theatre', title: 'Jun 26, 2026 — Lincoln Theatre (Raleigh, NC)' },
-  { id: '2026-06-27-raleigh-nc-lincoln-theatre', title: 'Jun 27, 2026 — Lincoln Theatre (Raleigh, NC)' },
-  { id: '2026-07-10-honolulu-hi-blue-note-hawaii-early', title: 'Jul 10, 2026 — Blue Note Hawaii (Early Show) (Honolulu, HI)' },
-  { id: '2026-07-10-honolulu-hi-blue-note-hawaii-late', title: 'Jul 10, 2026 — Blue Note Hawaii (Late Show) (Honolulu, HI)' },
-  { id: '2026-07-11-honolulu-hi-blue-note-hawaii-early', title: 'Jul 11, 2026 — Blue Note Hawaii (Early Show) (Honolulu, HI)' },
-  { id: '2026-07-11-honolulu-hi-blue-note-hawaii-late', title: 'Jul 11, 2026 — Blue Note Hawaii (Late Show) (Honolulu, HI)' },
-  { id: '2026-07-18-marshfield-ma-levitate-music-and-arts-festival', title: 'Jul 18–19, 2026 — Levitate Music and Arts Festival (Marshfield, MA)' },
-  { id: '2026-07-24-johnstown-pa-flood-city-music-festival', title: 'Jul 24–25, 2026 — Flood City Music Festival (Johnstown, PA)' },
-  { id: '2026-08-06-new-river-gorge-wv-domefest-1', title: 'Aug 6, 2026 — Domefest (New River Gorge, WV)' },
-  { id: '2026-08-07-new-river-gorge-wv-domefest-2', title: 'Aug 7, 2026 — Domefest (New River Gorge, WV)' },
-  { id: '2026-08-08-new-river-gorge-wv-domefest-3', title: 'Aug 8, 2026 — Domefest (New River Gorge, WV)' },
-];
-
-// ---------- In-memory fallback ----------
-const mem = {
-  sessions: new Map(), // id -> { users:Set, picks: Map("user|slot" -> value) }
-};
-function memEnsureSession(id) {
-  if (!mem.sessions.has(id)) mem.sessions.set(id, { users: new Set(), picks: new Map() });
-}
-app.get('/session/:id/state', async (req, res) => {
+app.get('/admin/backup', requireAdmin, async (req, res) => {
   try {
-    const sessionId = decodeURIComponent(req.params.id);
-    await api.ensureSession(sessionId);
-    const state = await api.buildState(sessionId);
-    res.json(state);
+    const backup = await buildBackup();
+    res.attachment(`setlist-backup-${backup.exportedAt.slice(0, 10)}.json`).json(backup);
   } catch (e) {
-    console.error('[GET STATE ERROR]', e);
+    log.error('BACKUP', e);
     res.status(500).json({ error: e.message });
   }
 });
-function memEnsureUser(id, username) {
-  memEnsureSession(id);
-  mem.sessions.get(id).users.add(username);
-}
-function memUpsertPick(id, username, slot, value) {
-  memEnsureUser(id, username);
-  mem.sessions.get(id).picks.set(`${username}|${slot}`, value);
-}
-function memDeletePick(id, username, slot) {
-  const s = mem.sessions.get(id);
-  if (!s) return;
-  s.picks.delete(`${username}|${slot}`);
-}
-function memClearBoard(id, username) {
-  const s = mem.sessions.get(id);
-  if (!s) return;
-  for (const key of Array.from(s.picks.keys())) {
-    if (key.startsWith(username + '|')) s.picks.delete(key);
-  }
-}
-function memBuildState(id) {
-  const s = mem.sessions.get(id) || { users: new Set(), picks: new Map() };
-  const state = { owner: null, users: [], userSongs: {} };
-
-  [...s.users].sort((a, b) => a.localeCompare(b, 'en', { sensitivity: 'base' }))
-    .forEach(u => state.users.push({ socketId: null, username: u }));
 
-  for (const [key, val] of s.picks.entries()) {
-    const [u, slot] = key.split('|');
-    if (!state.userSongs[u]) state.userSongs[u] = {};
-    state.userSongs[u][slot] = val;
+app.post('/admin/restore', requireAdmin, async (req, res) => {
+  let backup;
+  try {
+    backup = cleanBackup(req.body);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
   }
-  return state;
-}
-
-// ---------- Firestore impl ----------
-function picksDocId(username, slot) {
-  return `${username}__${slot}`.replaceAll('/', '_');
-}
 
-async function fsEnsureSession(sessionId) {
-  const db = getFirestore();
-  await db.collection('sessions').doc(sessionId).set(
-    { createdAt: new Date().toISOString() },
-    { merge: true }
-  );
-}
+  try {
+    for (const rec of backup.tourDates) await api.saveTourDate(rec);
+    for (const rec of backup.songs) await api.saveSong(rec);
+    for (const rec of backup.songSuggestions) await api.saveSongSuggestion(rec);
+    for (const rec of backup.players) await api.savePlayer(rec);
+    for (const session of backup.sessions) {
+      await api.ensureSession(session.id);
+      for (const username of session.users) await api.ensureUser(session.id, username);
+      for (const p of session.picks) await api.upsertPick(session.id, p.username, p.slot, p.value, p.rev || 1);
+      if (session.settings) await api.saveSessionSettings(session.id, session.settings);
+
+      // history is append-only: entries the store already has (a second restore) are skipped
+      const historyKey = e => JSON.stringify([e.username, e.action, e.slot ?? null, e.value ?? null, e.at, e.by ?? null]);
+      const logged = new Set((await api.listPickHistory({ sessionId: session.id })).map(historyKey));
+      for (const entry of session.history) {
+        if (logged.has(historyKey(entry))) continue;
+        await api.appendPickHistory({ ...entry, sessionId: session.id });
+      }
+    }
+    for (const [id, setlist] of backup.setlists) await api.saveSetlist(id, setlist);
+
+    await Promise.all([refreshTourDates(), refreshSongCatalog()]);
+    invalidateSongStats();
+    for (const session of backup.sessions) await reloadLiveSession(session.id);
+
+    res.json({
+      ok: true,
+      restored: {
+        tourDates: backup.tourDates.length,
+        songs: backup.songs.length,
+        songSuggestions: backup.songSuggestions.length,
+        players: backup.players.length,
+        sessions: backup.sessions.length,
+        picks: backup.sessions.reduce((n, s) => n + s.picks.length, 0),
+        history: backup.sessions.reduce((n, s) => n + s.history.length, 0),
+        setlists: backup.setlists.length,
+      },
+    });
+  } catch (e) {
+    log.error('RESTORE', e);
+    res.status(500).json({ error: e.message });
+  }
+});
 
-async function fsEnsureUser(sessionId, username) {
-  const db = getFirestore();
-  await db.collection('sessions').doc(sessionId)
-    .collection('users').doc(username)
-    .set({ joinedAt: new Date().toISOString() }, { merge: true });
-}
+// ───────────────── Pick history (admin) ─────────────────
+// ?sessionId= and/or ?username= (both optional); includes the player key behind each change
+app.get('/admin/pick-history', requireAdmin, async (req, res) => {
+  const sessionId = String(req.query.sessionId || '').trim() || undefined;
+  const username = String(req.query.username || '').trim() || undefined;
 
-async function fsUpsertPick(sessionId, username, slot, value) {
-  const db = getFirestore();
-  const docId = picksDocId(username, slot);
-  await db.collection('sessions').doc(sessionId)
-    .collection('picks').doc(docId)
-    .set({ username, slot, value, updatedAt: new Date().toISOString() }, { merge: true });
-}
+  try {
+    res.json({ history: await api.listPickHistory({ sessionId, username }) });
+  } catch (e) {
+    log.error('GET PICK HISTORY', e);
+    res.status(500).json({ error: e.message });
+  }
+});
 
-async function fsDeletePick(sessionId, username, slot) {
-  const db = getFirestore();
-  const docId = picksDocId(username, slot);
-  await db.collection('sessions').doc(sessionId)
-    .collection('picks').doc(docId).delete();
-}
+// ───────────────── Session hosts (admin) ─────────────────
+// { owner?, maxBoards? } — owner must already have a board here (null hands hosting to the next joiner)
+app.put('/admin/sessions/:id', requireAdmin, async (req, res) => {
+  const sessionId = decodeURIComponent(req.params.id).trim();
+  const body = req.body || {};
 
-async function fsClearBoard(sessionId, username) {
-  const db = getFirestore();
-  const picksRef = db.collection('sessions').doc(sessionId).collection('picks');
-  const snap = await picksRef.where('username', '==', username).get();
-  const batch = db.batch();
-  snap.docs.forEach(d => batch.delete(d.ref));
-  await batch.commit();
-}
+  try {
+    await serializeWrites(`${sessionId}|#boards`, async () => {
+      const settings = await api.getSessionSettings(sessionId);
+      let next;
+      try {
+        next = {
+          owner: 'owner' in body ? (String(body.owner || '').trim() || null) : settings.owner,
+          maxBoards: 'maxBoards' in body ? cleanMaxBoards(body.maxBoards) : settings.maxBoards,
+        };
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
 
-async function fsBuildState(sessionId) {
-  const db = getFirestore();
-  const state = { owner: null, users: [], userSongs: {} };
+      const state = await api.buildState(sessionId);
+      if (next.owner && !state.users.some(u => u.username === next.owner)) {
+        return res.status(400).json({ error: `No board named "${next.owner}" in this session` });
+      }
 
-  const usersSnap = await db.collection('sessions').doc(sessionId).collection('users').get();
-  const users = usersSnap.docs.map(d => d.id);
-  users.sort((a, b) => a.localeCompare(b, 'en', { sensitivity: 'base' }));
-  state.users = users.map(u => ({ socketId: null, username: u }));
+      await api.ensureSession(sessionId);
+      await updateSessionSettings(sessionId, next);
+      res.json({ ok: true, sessionId, ...next });
+    });
+  } catch (e) {
+    log.error('PUT SESSION', e);
+    res.status(500).json({ error: e.message });
+  }
+});
 
-  const picksSnap = await db.collection('sessions').doc(sessionId).collection('picks').get();
-  picksSnap.docs.forEach(d => {
-    const { username, slot, value } = d.data();
-    if (!state.userSongs[username]) state.userSongs[username] = {};
-    state.userSongs[username][slot] = value;
-  });
+// ───────────────── Songs library ─────────────────
+app.use('/songs', rateLimit('songs'));
 
-  return state;
+// Names/aliases may only point at one song
+function songConflict(rec) {
+  for (const name of [rec.name, ...rec.aliases]) {
+    const owner = songIndex.get(normalizeSongName(name));
+    if (owner && owner.name !== rec.name) return `"${name}" already belongs to ${owner.name}`;
+  }
+  return null;
 }
 
-// Choose backend
-const api = DB_DISABLED
-  ? {
-      ensureSession: memEnsureSession,
-      ensureUser: memEnsureUser,
-      upsertPick: memUpsertPick,
-      deletePick: memDeletePick,
-      clearBoard: memClearBoard,
-      buildState: memBuildState,
-    }
-  : {
-      ensureSession: fsEnsureSession,
-      ensureUser: fsEnsureUser,
-      upsertPick: fsUpsertPick,
-      deletePick: fsDeletePick,
-      clearBoard: fsClearBoard,
-      buildState: fsBuildState,
-    };
-
-// ───────────────── App / sockets ─────────────────
-// ✅ IMPORTANT: app must be initialized BEFORE any app.get/app.post usage
-const app = express();
-app.use(express.json());
-
-const server = http.createServer(app);
-const io = new Server(server);
-
-// serve static + pages
-app.use(express.static(path.join(__dirname, 'public')));
-app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
-app.get('/session/:id', (req, res) => res.sendFile(path.join(__dirname, 'session.html')));
+// Save + re-index; suggestions the song now covers are resolved
+async function saveCatalogSong(rec) {
+  await api.saveSong(rec);
+  await refreshSongCatalog();
+  invalidateSongStats();
+  for (const name of [rec.name, ...rec.aliases]) {
+    await api.deleteSongSuggestion(normalizeSongName(name));
+  }
+}
 
-// homepage list
-app.get('/sessions', (req, res) => {
-  res.json(PRESET_SESSIONS.map(s => ({ id: s.id, title: s.title })));
+// Get all songs: `songs` is the sorted name list, `catalog` the full records
+app.get('/songs', async (req, res) => {
+  try {
+    await refreshSongCatalog();
+    res.json({ songs: songCatalog.map(s => s.name), catalog: songCatalog });
+  } catch (e) {
+    log.error('GET /songs', e);
+    res.status(500).json({ error: e.message });
+  }
 });
 
-// health
-app.get('/healthz', (req, res) => res.send('ok'));
+// Add or edit a song (fields left out keep their current value)
+app.post('/songs', requireAdmin, async (req, res) => {
+  let rec;
+  try {
+    const existing = songCatalog.find(s => s.name === String(req.body?.name || '').trim());
+    rec = cleanSong({ ...existing, ...req.body });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  const conflict = songConflict(rec);
+  if (conflict) return res.status(409).json({ error: conflict });
 
-app.get('/session/:id/state', async (req, res) => {
   try {
-    const sessionId = decodeURIComponent(req.params.id);
-    await api.ensureSession(sessionId);
-    const state = await api.buildState(sessionId);
-    res.json(state);
+    await saveCatalogSong(rec);
+    res.json({ ok: true, song: rec });
   } catch (e) {
-    console.error('[GET STATE ERROR]', e);
+    log.error('POST /songs', e);
     res.status(500).json({ error: e.message });
   }
 });
-// dbcheck
-app.get('/dbcheck', async (req, res) => {
-  if (DB_DISABLED) return res.type('text').send('DB DISABLED (in-memory)');
+
+// Times played, last played, gap and opener/encore frequency per song
+app.get('/songs/stats', async (req, res) => {
   try {
-    // Lightweight Firestore call:
-    const db = getFirestore();
-    await db.collection('__health').doc('ping').set({ ts: new Date().toISOString() }, { merge: true });
-    res.type('text').send('FIRESTORE OK');
+    res.json(await songStats());
   } catch (e) {
-    console.error('[DBCHECK ERROR]', e);
-    res.status(500).type('text').send('DB FAIL: ' + e.message);
+    log.error('GET /songs/stats', e);
+    res.status(500).json({ error: e.message });
   }
 });
 
-// ───────────────── Songs library ─────────────────
-
-// Get all songs (sorted)
-app.get('/songs', async (req, res) => {
-  if (DB_DISABLED) return res.json({ songs: [] });
-
+// ---------- Pending suggestions (typed-in songs not in the catalog) ----------
+app.get('/songs/suggestions', requireAdmin, async (req, res) => {
   try {
-    const db = getFirestore();
-    const snap = await db.collection('songs').get();
-    const songs = snap.docs.map(d => d.data()?.name).filter(Boolean);
-    songs.sort((a, b) => a.localeCompare(b));
-    res.json({ songs });
+    const suggestions = await api.listSongSuggestions();
+    suggestions.sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+    res.json({ suggestions });
   } catch (e) {
-    console.error('[GET /songs ERROR]', e);
+    log.error('GET /songs/suggestions', e);
     res.status(500).json({ error: e.message });
   }
 });
 
-// Add a song (idempotent)
-app.post('/songs', async (req, res) => {
-  if (DB_DISABLED) return res.status(400).json({ error: 'DB disabled' });
+// Approve as a new song; body may override { name, aliases, cover, originalArtist, debut }
+app.post('/songs/suggestions/:key/approve', requireAdmin, async (req, res) => {
+  try {
+    const suggestion = await api.getSongSuggestion(req.params.key);
+    if (!suggestion) return res.status(404).json({ error: 'Unknown suggestion' });
 
-  const name = String(req.body?.name || '').trim();
-  if (!name) return res.status(400).json({ error: 'Missing name' });
-  if (name.length > 120) return res.status(400).json({ error: 'Name too long' });
+    let rec;
+    try {
+      rec = cleanSong({ name: suggestion.name, ...req.body });
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    const conflict = songConflict(rec);
+    if (conflict) return res.status(409).json({ error: conflict });
 
-  try {
-    const db = getFirestore();
-    // doc id = name (safe unless name contains "/")
-    const docId = name.replaceAll('/', '_');
-    await db.collection('songs').doc(docId).set(
-      { name, createdAt: new Date().toISOString() },
-      { merge: true }
-    );
-    res.json({ ok: true });
+    await saveCatalogSong(rec);
+    await api.deleteSongSuggestion(suggestion.key);
+    res.json({ ok: true, song: rec });
   } catch (e) {
-    console.error('[POST /songs ERROR]', e);
+    log.error('APPROVE SUGGESTION', e);
     res.status(500).json({ error: e.message });
   }
 });
 
-
-// Add a song (idempotent)
-app.post('/songs', async (req, res) => {
+// Merge into an existing song: the typed spelling becomes one of its aliases
+app.post('/songs/suggestions/:key/merge', requireAdmin, async (req, res) => {
   try {
-    const name = String(req.body?.name || '').trim();
-    if (!name) return res.status(400).json({ error: 'Missing name' });
-    if (name.length > 120) return res.status(400).json({ error: 'Name too long' });
+    const suggestion = await api.getSongSuggestion(req.params.key);
+    if (!suggestion) return res.status(404).json({ error: 'Unknown suggestion' });
 
-    // Use a safe doc id, but still store the real name for display
-    const docId = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
-    const ref = db.collection('songs').doc(docId || undefined);
+    const target = songCatalog.find(s => s.name === String(req.body?.into || '').trim());
+    if (!target) return res.status(400).json({ error: 'Pick a catalog song to merge into' });
 
-    // Set merge so it's idempotent if it already exists
-    await ref.set({ name, updatedAt: new Date() }, { merge: true });
+    const rec = cleanSong({ ...target, aliases: [...target.aliases, suggestion.name] });
+    const conflict = songConflict(rec);
+    if (conflict) return res.status(409).json({ error: conflict });
 
-    res.json({ ok: true });
+    await saveCatalogSong(rec);
+    await api.deleteSongSuggestion(suggestion.key);
+    res.json({ ok: true, song: rec });
   } catch (e) {
-    console.error('[POST /songs ERROR]', e);
+    log.error('MERGE SUGGESTION', e);
     res.status(500).json({ error: e.message });
   }
 });
 
-// Delete a song
-app.delete('/songs', async (req, res) => {
+// Dismiss
+app.delete('/songs/suggestions/:key', requireAdmin, async (req, res) => {
   try {
-    const name = String(req.body?.name || '').trim();
-    if (!name) return res.status(400).json({ error: 'Missing name' });
-
-    // Find doc(s) by name and delete them
-    const snap = await db.collection('songs').where('name', '==', name).get();
-    if (snap.empty) return res.json({ ok: true, deleted: 0 });
+    await api.deleteSongSuggestion(req.params.key);
+    res.json({ ok: true });
+  } catch (e) {
+    log.error('DELETE SUGGESTION', e);
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    const batch = db.batch();
-    snap.forEach(doc => batch.delete(doc.ref));
-    await batch.commit();
+// Delete a song (?name= or JSON body)
+app.delete('/songs', requireAdmin, async (req, res) => {
+  const name = String(req.query.name || req.body?.name || '').trim();
+  if (!name) return res.status(400).json({ error: 'Missing name' });
 
-    res.json({ ok: true, deleted: snap.size });
+  try {
+    const deleted = await api.deleteSong(name);
+    await refreshSongCatalog();
+    invalidateSongStats();
+    res.json({ ok: true, deleted });
   } catch (e) {
-    console.error('[DELETE /songs ERROR]', e);
+    log.error('DELETE /songs', e);
     res.status(500).json({ error: e.message });
   }
 });
 
+// ───────────────── Live sessions ─────────────────
+// A session with someone in the room is cached here. Picks update the cache and go
+// out as small versioned deltas ('session-delta') instead of a rebuilt full state;
+// clients that miss a version ask for a resync. Setlist changes rescore every board:
+// a live-mode tap (or undo) goes out as 'song-played' with every score, anything else
+// as a full 'update-session' (so do host / board cap changes).
+const sessionCache = new Map(); // sessionId -> Promise<{ users:Set, userSongs, pickRevs, setlist, owner, maxBoards, unwatch }>
+const sessionVersions = new Map(); // sessionId -> version (outlives the cache so it never goes back)
+
+function bumpVersion(sessionId) {
+  const version = (sessionVersions.get(sessionId) || 0) + 1;
+  sessionVersions.set(sessionId, version);
+  return version;
+}
+
+async function loadLiveSession(sessionId) {
+  const [raw, setlist, settings] = await Promise.all([
+    store.buildState(sessionId),
+    store.getSetlist(sessionId),
+    store.getSessionSettings(sessionId),
+  ]);
+  const live = {
+    users: new Set(raw.users.map(u => u.username)),
+    userSongs: await lockedUserSongs(sessionId, raw.userSongs),
+    pickRevs: raw.pickRevs,
+    setlist,
+    owner: settings.owner,
+    maxBoards: settings.maxBoards,
+    unwatch: null,
+  };
+  // other instances write to the same backend (Firestore); their changes arrive here
+  live.unwatch = api.watchSession(sessionId, change => applyLiveChange(sessionId, live, change));
+  return live;
+}
+
+function openLiveSession(sessionId) {
+  if (!sessionCache.has(sessionId)) {
+    const loading = loadLiveSession(sessionId);
+    sessionCache.set(sessionId, loading);
+    loading.catch(() => sessionCache.delete(sessionId));
+  }
+  return sessionCache.get(sessionId);
+}
+
+// Drop the cache (and the backend listener) once the room is empty
+async function closeLiveSessionIfIdle(sessionId) {
+  if (io.sockets.adapter.rooms.get(sessionId)?.size) return;
+  const loading = sessionCache.get(sessionId);
+  if (!loading) return;
+  sessionCache.delete(sessionId);
+  const live = await loading.catch(() => null);
+  live?.unwatch();
+}
+
+function liveState(sessionId, live) {
+  const users = [...live.users].sort((a, b) => a.localeCompare(b, 'en', { sensitivity: 'base' }));
+  const state = {
+    owner: live.owner,
+    maxBoards: live.maxBoards,
+    users: users.map(username => ({ socketId: null, username })),
+    userSongs: structuredClone(live.userSongs),
+    pickRevs: structuredClone(live.pickRevs),
+    version: sessionVersions.get(sessionId) || 0,
+    lock: sessionLock(sessionId),
+    rules: sessionRules(sessionId),
+  };
+  return withTemplate(state, sessionTemplate(sessionId), live.setlist);
+}
+
+// One board's score to ride along with a delta (undefined until there's a setlist)
+function liveScore(sessionId, live, username) {
+  if (!live.setlist) return undefined;
+  const board = { users: [{ username }], userSongs: { [username]: live.userSongs[username] || {} } };
+  return attachScores(board, live.setlist, sessionTemplate(sessionId)).scores[username];
+}
+
+// Applies a change to the cache; false when it's already there (e.g. our own write echoed back)
+function mutateLiveSession(live, change) {
+  const { username, slot } = change;
+  const board = live.userSongs[username];
+  const revs = live.pickRevs[username];
+
+  switch (change.type) {
+    case 'user-joined':
+      if (live.users.has(username)) return false;
+      live.users.add(username);
+      return true;
+    case 'user-left':
+      if (!live.users.has(username)) return false;
+      live.users.delete(username);
+      delete live.userSongs[username];
+      delete live.pickRevs[username];
+      return true;
+    case 'pick-set':
+      // a late echo (Firestore) of an older write mustn't undo a newer pick
+      if (change.rev <= (revs?.[slot] || 0)) return false;
+      live.userSongs[username] = { ...board, [slot]: change.value };
+      live.pickRevs[username] = { ...revs, [slot]: change.rev };
+      return true;
+    case 'pick-cleared':
+      // the slot keeps its new revision (rev); without one (a removed board) it goes too
+      if (!board || !(slot in board)) return false;
+      if (change.rev !== undefined && change.rev <= (revs?.[slot] || 0)) return false;
+      delete board[slot];
+      if (!Object.keys(board).length) delete live.userSongs[username];
+      live.pickRevs[username] = { ...revs, [slot]: change.rev };
+      if (change.rev === undefined) delete live.pickRevs[username][slot];
+      return true;
+    case 'board-cleared':
+      // same as the store: every cleared slot's revision goes up by one
+      if (!board) return false;
+      live.pickRevs[username] = { ...revs };
+      for (const cleared of Object.keys(board)) live.pickRevs[username][cleared] = (revs?.[cleared] || 0) + 1;
+      delete live.userSongs[username];
+      return true;
+    case 'setlist':
+      if ((live.setlist?.updatedAt || null) === (change.setlist?.updatedAt || null)) return false;
+      live.setlist = change.setlist;
+      return true;
+    case 'settings':
+      if (live.owner === change.owner && live.maxBoards === change.maxBoards) return false;
+      live.owner = change.owner;
+      live.maxBoards = change.maxBoards;
+      return true;
+    default:
+      return false;
+  }
+}
+
+// A setlist that grew or shrank by one song at the end -> { action, song, position }
+function playedSong(before, after) {
+  const was = before?.songs || [];
+  const now = after?.songs || [];
+  const [longer, shorter] = now.length > was.length ? [now, was] : [was, now];
+  if (longer.length !== shorter.length + 1) return null;
+
+  const same = (a, b) => a.name === b.name && ['encore', 'cover', 'bustout', 'segue'].every(f => !!a[f] === !!b[f]);
+  if (!shorter.every((song, i) => same(song, longer[i]))) return null;
+  return { action: now.length > was.length ? 'played' : 'undo', song: longer[longer.length - 1], position: longer.length };
+}
+
+const PICK_CHANGES = new Set(['pick-set', 'pick-cleared', 'board-cleared']);
+
+function applyLiveChange(sessionId, live, change) {
+  // locked boards stay as they stood at lock (boardsAtLock); a Firestore watcher's first
+  // snapshot replays the current picks, which mustn't undo that
+  if (PICK_CHANGES.has(change.type) && sessionLock(sessionId)?.locked) return;
+  const setlistBefore = live.setlist;
+  if (!mutateLiveSession(live, change)) return;
+  const version = bumpVersion(sessionId);
+
+  if (change.type === 'settings') {
+    io.to(sessionId).emit('update-session', liveState(sessionId, live));
+    return;
+  }
+
+  if (change.type === 'setlist') {
+    const played = playedSong(setlistBefore, live.setlist);
+    if (!played) {
+      io.to(sessionId).emit('update-session', liveState(sessionId, live));
+      return;
+    }
+    const { setlist, scores } = liveState(sessionId, live);
+    io.to(sessionId).emit('song-played', { sessionId, version, ...played, setlist, scores });
+    return;
+  }
+
+  const delta = { sessionId, version, ...change };
+  if (change.type !== 'user-joined' && change.type !== 'user-left') delta.score = liveScore(sessionId, live, change.username);
+  io.to(sessionId).emit('session-delta', delta);
+}
+
+// After a local write: update the cache and tell the room (no-op if nobody's connected)
+async function recordChange(sessionId, change) {
+  const loading = sessionCache.get(sessionId);
+  if (loading) applyLiveChange(sessionId, await loading, change);
+}
+
+// After bulk writes (renames etc.): reload from the store and send everyone the full state
+async function reloadLiveSession(sessionId) {
+  const loading = sessionCache.get(sessionId);
+  if (loading) {
+    const live = await loading;
+    const [raw, setlist, settings] = await Promise.all([
+      store.buildState(sessionId),
+      store.getSetlist(sessionId),
+      store.getSessionSettings(sessionId),
+    ]);
+    live.users = new Set(raw.users.map(u => u.username));
+    live.userSongs = await lockedUserSongs(sessionId, raw.userSongs);
+    live.pickRevs = raw.pickRevs;
+    live.setlist = setlist;
+    live.owner = settings.owner;
+    live.maxBoards = settings.maxBoards;
+  }
+  bumpVersion(sessionId);
+  io.to(sessionId).emit('update-session', await api.buildState(sessionId));
+}
+
+// Runs read-modify-write steps on one key ("sessionId|username" for a board,
+// "sessionId|#setlist" for live mode) one at a time so they can't interleave
+const writeQueues = new Map(); // key -> Promise
+function serializeWrites(key, fn) {
+  const run = (writeQueues.get(key) || Promise.resolve()).then(fn);
+  const tail = run.catch(() => {});
+  writeQueues.set(key, tail);
+  tail.then(() => { if (writeQueues.get(key) === tail) writeQueues.delete(key); });
+  return run;
+}
+
 // ───────────────── Sockets ─────────────────
 
 // Track socket -> identity to prevent spoofing
-const socketMap = new Map(); // socket.id -> { sessionId, username }
+const socketMap = new Map(); // socket.id -> { sessionId, username, playerKey }
+
+// One timer per session that tells the room when picks lock
+const lockTimers = new Map(); // sessionId -> Timeout
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+function scheduleLock(sessionId) {
+  const lock = sessionLock(sessionId);
+  if (!lock || lock.locked || lockTimers.has(sessionId)) return;
+
+  const delay = new Date(lock.lockAt).getTime() - Date.now();
+  if (delay > MAX_TIMER_MS) return; // someone will rejoin before then
+
+  const timer = setTimeout(() => {
+    lockTimers.delete(sessionId);
+    io.to(sessionId).emit('picks-locked', { ...lock, locked: true, message: lockMessage(lock) });
+  }, delay);
+  timer.unref();
+  lockTimers.set(sessionId, timer);
+}
+
+// After a show's date, start time or time zone changes: drop the old timer and start
+// one for the new lock time if anyone's in the room
+function rescheduleLock(sessionId) {
+  clearTimeout(lockTimers.get(sessionId));
+  lockTimers.delete(sessionId);
+  if (io.sockets.adapter.rooms.get(sessionId)?.size) scheduleLock(sessionId);
+}
+
+// Every set / clear / clear-all goes in the append-only pick history
+function logPick(who, sessionId, entry) {
+  return api.appendPickHistory({
+    sessionId,
+    username: who.username,
+    slot: null,
+    value: null,
+    ...entry,
+    at: new Date().toISOString(),
+    by: who.playerKey,
+  });
+}
+
+// Tells the socket picks are locked and returns true when the session no longer takes
+// them; the error goes in the ack (a queued replay gets no alert per pick), else as 'error'
+function rejectIfLocked(socket, sessionId, reply) {
+  const lock = sessionLock(sessionId);
+  if (!lock || !lock.locked) return false;
+  socket.emit('picks-locked', { ...lock, message: lockMessage(lock) });
+  reply({ ok: false, locked: true, error: lockMessage(lock) });
+  return true;
+}
+
+// Socket acks are optional (older pages don't send one); without one, failures go out as 'error'
+function replier(socket, ack) {
+  return (result) => {
+    if (typeof ack === 'function') ack(result);
+    else if (!result.ok && result.error) socket.emit('error', result.error);
+  };
+}
+
+// ---------- Session hosts ----------
+// The first player to get a board hosts the session (an admin can reassign it). Hosts
+// clean up junk boards — remove, merge, rename — and can cap how many boards there are.
+const MAX_BOARDS_LIMIT = 500;
+
+// '' / null = no cap
+function cleanMaxBoards(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_BOARDS_LIMIT) {
+    throw new Error(`maxBoards must be a whole number from 1 to ${MAX_BOARDS_LIMIT} (or empty for no cap)`);
+  }
+  return n;
+}
+
+function isHost(settings, who) {
+  return !!settings.owner && playerKey(settings.owner) === who.playerKey;
+}
+
+async function updateSessionSettings(sessionId, settings) {
+  await api.saveSessionSettings(sessionId, settings);
+  await recordChange(sessionId, { type: 'settings', ...settings });
+}
+
+// Sockets on a board that's gone stay in the room as spectators
+function detachBoard(sessionId, username, message) {
+  for (const [socketId, who] of socketMap) {
+    if (who.sessionId !== sessionId || who.username !== username) continue;
+    socketMap.set(socketId, { sessionId, username: null, playerKey: null });
+    io.sockets.sockets.get(socketId)?.emit('board-removed', { sessionId, username, message });
+  }
+}
+
+// Moves from's picks onto into (into keeps its own where both picked a slot), then drops from
+async function mergeBoard(sessionId, from, into, host) {
+  const state = await store.buildState(sessionId);
+  const target = state.userSongs[into] || {};
+  await api.ensureUser(sessionId, into);
+
+  let moved = 0;
+  for (const [slot, value] of Object.entries(state.userSongs[from] || {})) {
+    if (slot in target) continue;
+    await api.upsertPick(sessionId, into, slot, value, (state.pickRevs[into]?.[slot] || 0) + 1);
+    await logPick(host, sessionId, { username: into, action: 'set', slot, value });
+    moved++;
+  }
+  await api.removeUser(sessionId, from);
+  await logPick(host, sessionId, { username: from, action: 'clear-all' });
+  return moved;
+}
+
+// Wraps a host-only socket event: action(payload, ctx) returns the ack
+function hostHandler(socket, tag, action) {
+  return async (payload, ack) => {
+    const reply = replier(socket, ack);
+    const who = socketMap.get(socket.id);
+    if (!who?.username) return reply({ ok: false, error: 'Not joined.', rejoin: true });
+    const { sessionId } = who;
+
+    try {
+      await serializeWrites(`${sessionId}|#boards`, async () => {
+        const settings = await api.getSessionSettings(sessionId);
+        if (!isHost(settings, who)) return reply({ ok: false, error: 'Only the session host can do that.' });
+
+        const state = await api.buildState(sessionId);
+        const boards = new Set(state.users.map(u => u.username));
+        reply(await action(payload || {}, { who, sessionId, settings, boards }));
+      });
+    } catch (err) {
+      log.error(tag, err);
+      reply({ ok: false, error: err.message });
+    }
+  };
+}
+
+const SESSION_ID_MAX = 120;
+const PICK_VALUE_MAX = 120; // same cap as catalog song names
+
+// Socket payloads carry the id URI-encoded; null when it won't decode or isn't a usable id
+// (control characters, or a "/" no backend can key on)
+function cleanSessionId(raw) {
+  let id;
+  try {
+    id = decodeURIComponent(String(raw ?? '')).trim();
+  } catch {
+    return null;
+  }
+  if (!id || id.length > SESSION_ID_MAX || /[\u0000-\u001f\u007f\/]/.test(id)) return null;
+  return id;
+}
+
+// Per connection and per address; over the limit the event is dropped and the client
+// gets 'rate-limited' (and a failed ack when it asked for one)
+function limitSocketEvents(socket) {
+  const ip = socketIp(socket);
+  socket.use(([event, ...args], next) => {
+    const checks = [['socket', socket.id], ['ip', ip]];
+    if (event === 'join') checks.push(['join', socket.id], ['joinIp', ip]);
+
+    let wait = 0;
+    for (const [name, key] of checks) {
+      wait = limiters[name].hit(key);
+      if (wait) {
+        countMetric(metrics.rateLimited, name);
+        break;
+      }
+    }
+    if (!wait) return next();
+
+    const error = rateLimitMessage(wait);
+    const retryAfter = Math.ceil(wait / 1000);
+    socket.emit('rate-limited', { event, retryAfter, error });
+    const ack = args[args.length - 1];
+    if (typeof ack === 'function') ack({ ok: false, rateLimited: true, retryAfter, error });
+  });
+}
+
+// Handled events by name for /metrics (anything else a client sends is 'unknown')
+const SOCKET_EVENTS = new Set([
+  'join', 'watch', 'set-song', 'clear-all', 'resync',
+  'remove-board', 'merge-boards', 'rename-board', 'set-max-boards',
+]);
+
+// Log lines from a handler carry the socket, event and (once joined) session + board
+function socketContext(socket) {
+  socket.use(([event], next) => {
+    countMetric(metrics.socketEvents, SOCKET_EVENTS.has(event) ? event : 'unknown');
+    const who = socketMap.get(socket.id);
+    log.withContext({ socketId: socket.id, event, sessionId: who?.sessionId, username: who?.username ?? undefined }, next);
+  });
+}
 
 io.on('connection', (socket) => {
-  socket.on('join', async ({ sessionId, username }) => {
-    const cleanId = decodeURIComponent(String(sessionId || '')).trim();
-    const cleanUser = String(username || '').trim();
-    if (!cleanId || !cleanUser) {
-      socket.emit('error', 'Invalid session or username');
-      return;
+  socketContext(socket);
+  limitSocketEvents(socket);
+
+  socket.on('join', async (payload, ack) => {
+    const reply = replier(socket, ack);
+    const { sessionId, username, token } = payload || {};
+    const cleanId = cleanSessionId(sessionId);
+    if (!cleanId) return reply({ ok: false, error: 'Invalid session' });
+
+    let cleanUser;
+    try {
+      cleanUser = cleanUsername(username);
+    } catch (e) {
+      return reply({ ok: false, invalidName: true, error: e.message });
     }
 
     try {
+      const claim = await claimOrVerify(cleanUser, token, socketIp(socket));
+      if (!claim) {
+        socket.emit('name-claimed', {
+          username: cleanUser,
+          message: `"${cleanUser}" is already claimed. Enter its recovery code to use it on this device.`,
+        });
+        return reply({ ok: false, claimed: true });
+      }
+      if (claim.wait) {
+        // same shape as the socket limits, so the page waits and retries the join
+        const error = rateLimitMessage(claim.wait);
+        const retryAfter = Math.ceil(claim.wait / 1000);
+        socket.emit('rate-limited', { event: 'join', retryAfter, error });
+        return reply({ ok: false, rateLimited: true, retryAfter, error });
+      }
+
+      // boards always use the claimed spelling ("andy" -> "Andy")
+      const boardName = claim.player.name;
+      if (claim.token) {
+        socket.emit('player-claimed', { username: boardName, token: claim.token, recoveryCode: claim.recoveryCode });
+      }
+
       await api.ensureSession(cleanId);
-      await api.ensureUser(cleanId, cleanUser);
+      await openLiveSession(cleanId);
+      // late joiners can watch a locked show but don't get a new board
+      if (!sessionLock(cleanId)?.locked) {
+        const full = await serializeWrites(`${cleanId}|#boards`, async () => {
+          const settings = await api.getSessionSettings(cleanId);
+          const live = await openLiveSession(cleanId);
+          if (!live.users.has(boardName) && settings.maxBoards && live.users.size >= settings.maxBoards) {
+            return `This session is full (${settings.maxBoards} boards) — you can still watch.`;
+          }
+
+          await api.ensureUser(cleanId, boardName);
+          await recordChange(cleanId, { type: 'user-joined', username: boardName });
+          // first one in hosts
+          if (!settings.owner) await updateSessionSettings(cleanId, { ...settings, owner: boardName });
+          return null;
+        });
+        if (full) return reply({ ok: false, full: true, error: full });
+      }
 
       socket.join(cleanId);
-      socketMap.set(socket.id, { sessionId: cleanId, username: cleanUser });
+      socketMap.set(socket.id, { sessionId: cleanId, username: boardName, playerKey: claim.player.key });
+      scheduleLock(cleanId);
+
+      // the room got a delta; the newcomer needs everything
+      socket.emit('update-session', await api.buildState(cleanId));
+      reply({ ok: true, username: boardName });
+    } catch (err) {
+      log.error('JOIN', err);
+      reply({ ok: false, error: 'Join failed: ' + err.message });
+    }
+  });
 
-      const state = await api.buildState(cleanId);
-      io.to(cleanId).emit('update-session', state);
+  // read-only pages (locked shows) follow along without a board
+  socket.on('watch', async (payload, ack) => {
+    const reply = replier(socket, ack);
+    const cleanId = cleanSessionId(payload?.sessionId);
+    if (!cleanId) return reply({ ok: false, error: 'Invalid session' });
+
+    try {
+      await openLiveSession(cleanId);
+      socket.join(cleanId);
+      socketMap.set(socket.id, { sessionId: cleanId, username: null, playerKey: null });
+      socket.emit('update-session', await api.buildState(cleanId));
+      reply({ ok: true });
     } catch (err) {
-      console.error('[JOIN ERROR]', err);
-      socket.emit('error', 'Join failed: ' + err.message);
+      log.error('WATCH', err);
+      reply({ ok: false, error: 'Watch failed: ' + err.message });
     }
   });
 
-  socket.on('set-song', async ({ sessionId, slot, value }) => {
+  // baseRev = the slot revision the client last saw (0 = never picked). A mismatch
+  // means another tab (or an offline replay) is behind, so the newer pick wins.
+  socket.on('set-song', async (payload, ack) => {
+    const reply = replier(socket, ack);
     const who = socketMap.get(socket.id);
-    if (!who) return socket.emit('error', 'Not joined.');
+    if (!who?.username) return reply({ ok: false, error: 'Not joined.', rejoin: true });
 
-    const cleanId = who.sessionId || decodeURIComponent(String(sessionId || '')).trim();
+    const { slot, value, baseRev } = payload || {};
+    const cleanId = who.sessionId;
     const caller = who.username;
 
     const cleanSlot = String(slot || '').trim();
-    const cleanValue = String(value ?? '').trim();
+    const cleanValue = String(value ?? '').trim().replace(/\s+/g, ' ');
+    if (cleanValue.length > PICK_VALUE_MAX) {
+      return reply({ ok: false, error: `Song names can be at most ${PICK_VALUE_MAX} characters.` });
+    }
 
-    if (!SONG_SLOTS.includes(cleanSlot)) {
-      return socket.emit('error', `Invalid slot "${cleanSlot}".`);
+    if (!findSlot(sessionTemplate(cleanId), cleanSlot)) {
+      return reply({ ok: false, error: `Invalid slot "${cleanSlot}".` });
     }
+    if (rejectIfLocked(socket, cleanId, reply)) return;
 
     try {
-      if (!cleanValue) {
-        await api.deletePick(cleanId, caller, cleanSlot);
-      } else {
-        await api.upsertPick(cleanId, caller, cleanSlot, cleanValue);
-      }
-      const state = await api.buildState(cleanId);
-      io.to(cleanId).emit('update-session', state);
+      await serializeWrites(`${cleanId}|${caller}`, async () => {
+        // again: the show may have started while this write waited its turn
+        if (rejectIfLocked(socket, cleanId, reply)) return;
+        const state = await api.buildState(cleanId);
+        const board = state.userSongs[caller] || {};
+        const currentRev = state.pickRevs[caller]?.[cleanSlot] || 0;
+
+        if (baseRev !== undefined && baseRev !== null && Number(baseRev) !== currentRev) {
+          const kept = board[cleanSlot] ? `"${board[cleanSlot]}"` : 'empty';
+          return reply({
+            ok: false,
+            conflict: true,
+            slot: cleanSlot,
+            value: board[cleanSlot] ?? null,
+            rev: currentRev,
+            error: `Your ${cleanSlot} pick was changed from another tab or device (now ${kept}) — kept that one.`,
+          });
+        }
+
+        // a cleared slot keeps counting up, so a write based on an older pick can't land later
+        if (!cleanValue) {
+          if (!(cleanSlot in board)) return reply({ ok: true, slot: cleanSlot, value: null, rev: currentRev });
+          const rev = currentRev + 1;
+          await api.deletePick(cleanId, caller, cleanSlot, rev);
+          await logPick(who, cleanId, { action: 'clear', slot: cleanSlot });
+          await recordChange(cleanId, { type: 'pick-cleared', username: caller, slot: cleanSlot, rev });
+          return reply({ ok: true, slot: cleanSlot, value: null, rev });
+        }
+
+        // typed picks snap to the catalog spelling; unknown ones wait for an admin
+        const match = matchSong(cleanValue);
+        const pick = match ? match.song.name : cleanValue;
+
+        const broken = await pickRuleError(cleanId, board, cleanSlot, pick, songStats);
+        if (broken) {
+          // put the rejected dropdown back the way it was
+          socket.emit('update-session', state);
+          return reply({ ok: false, error: broken });
+        }
+
+        if (!match) await noteSongSuggestion(cleanValue, cleanId);
+        const rev = currentRev + 1;
+        await api.upsertPick(cleanId, caller, cleanSlot, pick, rev);
+        await logPick(who, cleanId, { action: 'set', slot: cleanSlot, value: pick });
+        await recordChange(cleanId, { type: 'pick-set', username: caller, slot: cleanSlot, value: pick, rev });
+        reply({ ok: true, slot: cleanSlot, value: pick, rev });
+      });
     } catch (err) {
-      console.error('[SET-SONG ERROR]', err);
-      socket.emit('error', 'Save failed: ' + err.message);
+      log.error('SET-SONG', err);
+      reply({ ok: false, error: 'Save failed: ' + err.message });
     }
   });
 
-  socket.on('clear-all', async ({ sessionId }) => {
+  socket.on('clear-all', async (payload, ack) => {
+    const reply = replier(socket, ack);
     const who = socketMap.get(socket.id);
-    if (!who) return socket.emit('error', 'Not joined.');
+    if (!who?.username) return reply({ ok: false, error: 'Not joined.', rejoin: true });
 
-    const cleanId = who.sessionId || decodeURIComponent(String(sessionId || '')).trim();
+    const cleanId = who.sessionId;
     const caller = who.username;
 
+    if (rejectIfLocked(socket, cleanId, reply)) return;
+
+    try {
+      const cleared = await serializeWrites(`${cleanId}|${caller}`, async () => {
+        if (rejectIfLocked(socket, cleanId, reply)) return false;
+        await api.clearBoard(cleanId, caller);
+        await logPick(who, cleanId, { action: 'clear-all' });
+        await recordChange(cleanId, { type: 'board-cleared', username: caller });
+        return true;
+      });
+      if (cleared) reply({ ok: true });
+    } catch (err) {
+      log.error('CLEAR-ALL', err);
+      reply({ ok: false, error: 'Clear failed: ' + err.message });
+    }
+  });
+
+  // ---------- host tools ----------
+  socket.on('remove-board', hostHandler(socket, 'REMOVE-BOARD', async ({ username }, { who, sessionId, boards }) => {
+    const target = String(username || '').trim();
+    if (!boards.has(target)) return { ok: false, error: `No board named "${target}".` };
+    if (target === who.username) return { ok: false, error: "You can't remove your own board while you host." };
+    if (sessionLock(sessionId)?.locked) return { ok: false, locked: true, error: 'Boards can\'t be removed once picks lock.' };
+
+    detachBoard(sessionId, target, `The host removed the "${target}" board.`);
+    await api.removeUser(sessionId, target);
+    await logPick(who, sessionId, { username: target, action: 'clear-all' });
+    await reloadLiveSession(sessionId);
+    return { ok: true, removed: target };
+  }));
+
+  // from's picks fill into's empty slots; from goes away
+  socket.on('merge-boards', hostHandler(socket, 'MERGE-BOARDS', async ({ from, into }, { who, sessionId, settings, boards }) => {
+    const source = String(from || '').trim();
+    const target = String(into || '').trim();
+    if (!boards.has(source)) return { ok: false, error: `No board named "${source}".` };
+    if (!boards.has(target)) return { ok: false, error: `No board named "${target}".` };
+    if (source === target) return { ok: false, error: 'Pick two different boards.' };
+    if (source === who.username) return { ok: false, error: "You can't merge away your own board while you host." };
+    if (sessionLock(sessionId)?.locked) return { ok: false, locked: true, error: 'Boards can\'t be merged once picks lock.' };
+
+    detachBoard(sessionId, source, `The host merged "${source}" into "${target}".`);
+    const moved = await mergeBoard(sessionId, source, target, who);
+    if (settings.owner === source) await updateSessionSettings(sessionId, { ...settings, owner: target });
+    await reloadLiveSession(sessionId);
+    return { ok: true, from: source, into: target, moved };
+  }));
+
+  // This session only; players rename themselves everywhere with /players/rename
+  socket.on('rename-board', hostHandler(socket, 'RENAME-BOARD', async ({ username, newName }, { who, sessionId, settings, boards }) => {
+    const source = String(username || '').trim();
+    if (!boards.has(source)) return { ok: false, error: `No board named "${source}".` };
+    let target;
+    try {
+      target = cleanUsername(newName);
+    } catch (e) {
+      return { ok: false, error: e.message };
+    }
+    if (source === who.username) return { ok: false, error: 'Rename yourself from "Change name" instead.' };
+    if (target === source) return { ok: false, error: "That's already its name." };
+    if ([...boards].some(b => b !== source && playerKey(b) === playerKey(target))) {
+      return { ok: false, error: `"${target}" already has a board here — merge them instead.` };
+    }
+    if (sessionLock(sessionId)?.locked) return { ok: false, locked: true, error: 'Boards can\'t be renamed once picks lock.' };
+
+    // a claimed name belongs to its player
+    const claim = await api.getPlayer(playerKey(target));
+    if (claim && claim.key !== playerKey(source)) return { ok: false, error: `"${target}" is claimed by another player.` };
+
+    // nothing else here shares the name's key, so the board moves as is (revisions too);
+    // a case-only change like "andy" -> "Andy" is a rename like any other
+    detachBoard(sessionId, source, `The host renamed "${source}" to "${target}".`);
+    await api.renameBoard(sessionId, source, target);
+    if (settings.owner === source) await updateSessionSettings(sessionId, { ...settings, owner: target });
+    await reloadLiveSession(sessionId);
+    return { ok: true, username: source, newName: target };
+  }));
+
+  // maxBoards: 1-500, or null for no cap; boards already in stay
+  socket.on('set-max-boards', hostHandler(socket, 'SET-MAX-BOARDS', async ({ maxBoards }, { sessionId, settings }) => {
+    let cap;
+    try {
+      cap = cleanMaxBoards(maxBoards);
+    } catch (e) {
+      return { ok: false, error: e.message };
+    }
+    await updateSessionSettings(sessionId, { ...settings, maxBoards: cap });
+    return { ok: true, maxBoards: cap };
+  }));
+
+  // client saw a version gap in the deltas
+  socket.on('resync', async () => {
+    const who = socketMap.get(socket.id);
+    if (!who) return socket.emit('error', 'Not joined.');
+
     try {
-      await api.clearBoard(cleanId, caller);
-      const state = await api.buildState(cleanId);
-      io.to(cleanId).emit('update-session', state);
+      socket.emit('update-session', await api.buildState(who.sessionId));
     } catch (err) {
-      console.error('[CLEAR-ALL ERROR]', err);
-      socket.emit('error', 'Clear failed: ' + err.message);
+      log.error('RESYNC', err);
+      socket.emit('error', 'Resync failed: ' + err.message);
     }
   });
 
   socket.on('disconnect', () => {
+    const who = socketMap.get(socket.id);
     socketMap.delete(socket.id);
+    if (who) closeLiveSessionIfIdle(who.sessionId).catch(err => log.error('LIVE SESSION', err));
   });
 });
 
 // ───────────────── boot ─────────────────
+// `node server.js` listens; tests require this file and start `server` on a port of their own
 const PORT = process.env.PORT || 8080;
-server.listen(PORT, '0.0.0.0', () => {
-  console.log(`Server running on port ${PORT}`);
-});
+
+const ready = Promise.all([
+  refreshTourDates().catch(err => log.error('TOUR DATES', err)),
+  refreshSongCatalog().catch(err => log.error('SONGS', err)),
+]);
+
+if (require.main === module) {
+  ready.finally(() => {
+    server.listen(PORT, '0.0.0.0', () => {
+      log.info('BOOT', `Server running on port ${PORT}`);
+    });
+  });
+
+  // other instances may edit dates and songs too
+  if (DB_BACKEND === 'firestore') {
+    setInterval(() => {
+      refreshTourDates().catch(err => log.error('TOUR DATES', err));
+      refreshSongCatalog().catch(err => log.error('SONGS', err));
+    }, TOUR_DATES_REFRESH_MS).unref();
+  }
+}
+
+module.exports = { app, server, io, api, ready };
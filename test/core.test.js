@@ -0,0 +1,595 @@
+// Behaviour of the pure data layer (core.js): scoring, lock times, tour dates, setlist
+// parsing, song matching, song stats, pick rules, standings, consensus, calendar and share cards.
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const core = require('../core');
+
+// A listed show; tests add what they need to core's tour date cache
+function show(id, fields = {}) {
+  return { id, date: id.slice(0, 10), venue: 'Victory North', city: 'Savannah', region: 'GA', country: 'US', ...fields };
+}
+
+function listShows(...records) {
+  core.tourDates.clear();
+  for (const rec of records) core.tourDates.set(rec.id, rec);
+}
+
+beforeEach(() => {
+  listShows();
+  core.indexSongs([]);
+});
+
+describe('scoring', () => {
+  const single = core.slotTemplate('single-set');
+  const slot = name => core.findSlot(single, name);
+  const setlist = {
+    songs: [
+      { name: 'Landing' },
+      { name: 'Funk E Zekial', segue: true },
+      { name: 'Julia' },
+      { name: 'Havana', cover: true },
+      { name: 'Moonshine', bustout: true },
+      { name: 'Stay', encore: true },
+    ],
+  };
+
+  it('gives exact points for the right song in the right spot', () => {
+    assert.deepEqual(core.scorePick(slot('Opener'), 'Landing', setlist), { result: 'exact', points: 3 });
+    assert.deepEqual(core.scorePick(slot('Song 3'), 'julia', setlist), { result: 'exact', points: 3 });
+  });
+
+  it('gives played points when the song shows up somewhere else', () => {
+    assert.deepEqual(core.scorePick(slot('Opener'), 'Julia', setlist), { result: 'played', points: 1 });
+    // the encore doesn't count as a main set spot
+    assert.deepEqual(core.scorePick(slot('Song 6'), 'Stay', setlist), { result: 'played', points: 1 });
+  });
+
+  it('misses songs that were not played and empty picks', () => {
+    assert.deepEqual(core.scorePick(slot('Opener'), 'Kiwi', setlist), { result: 'miss', points: 0 });
+    assert.deepEqual(core.scorePick(slot('Opener'), '  ', setlist), { result: 'miss', points: 0 });
+  });
+
+  it('pays the encore, cover and bustout bonuses only when the song was played that way', () => {
+    assert.deepEqual(core.scorePick(slot('Encore'), 'Stay', setlist), { result: 'encore', points: 3 });
+    assert.deepEqual(core.scorePick(slot('Cover'), 'Havana', setlist), { result: 'cover', points: 3 });
+    assert.deepEqual(core.scorePick(slot('Bustout'), 'Moonshine', setlist), { result: 'bustout', points: 5 });
+    assert.deepEqual(core.scorePick(slot('Encore'), 'Landing', setlist), { result: 'played', points: 1 });
+  });
+
+  it('counts catalog aliases as the song they belong to', () => {
+    core.indexSongs([{ name: 'Funk E Zekial', aliases: ['FEZ'] }]);
+    assert.deepEqual(core.scorePick(slot('Song 2'), 'FEZ', setlist), { result: 'exact', points: 3 });
+  });
+
+  it('scores closers and per-set spots with the template\'s own points', () => {
+    const twoSets = core.slotTemplate('two-sets');
+    const sets = {
+      songs: [
+        { name: 'Landing', set: 1 }, { name: 'Julia', set: 1 },
+        { name: 'Kiwi', set: 2 }, { name: 'Doc', set: 2 },
+        { name: 'Stay', encore: true },
+      ],
+    };
+    const points = twoSets.points;
+    assert.deepEqual(core.scorePick(core.findSlot(twoSets, 'Set 1 Closer'), 'Julia', sets, points), { result: 'exact', points: 4 });
+    assert.deepEqual(core.scorePick(core.findSlot(twoSets, 'Set 2 Opener'), 'Kiwi', sets, points), { result: 'exact', points: 4 });
+    assert.deepEqual(core.scorePick(core.findSlot(twoSets, 'Set 2 Opener'), 'Landing', sets, points), { result: 'played', points: 1 });
+    assert.deepEqual(core.scorePick(core.findSlot(twoSets, 'Anytime'), 'Doc', sets, points), { result: 'played', points: 1 });
+  });
+
+  it('totals each board and skips picks in slots the template does not have', () => {
+    const state = {
+      users: [{ username: 'Andy' }, { username: 'Bo' }, { username: 'Cy' }],
+      userSongs: {
+        Andy: { Opener: 'Landing', Encore: 'Stay', 'Set 1 Closer': 'Julia' },
+        Bo: { Opener: 'Kiwi' },
+      },
+    };
+    core.attachScores(state, setlist, single);
+
+    assert.equal(state.setlist, setlist);
+    assert.deepEqual(state.scores.Andy, {
+      total: 6,
+      hits: 2,
+      slots: { Opener: { result: 'exact', points: 3 }, Encore: { result: 'encore', points: 3 } },
+    });
+    assert.deepEqual(state.scores.Bo, { total: 0, hits: 0, slots: { Opener: { result: 'miss', points: 0 } } });
+    assert.deepEqual(state.scores.Cy, { total: 0, hits: 0, slots: {} });
+  });
+
+  it('leaves scores empty until there is a setlist', () => {
+    const state = core.attachScores({ users: [{ username: 'Andy' }], userSongs: { Andy: { Opener: 'Landing' } } }, null);
+    assert.equal(state.setlist, null);
+    assert.deepEqual(state.scores, {});
+  });
+});
+
+describe('leaderboard', () => {
+  const SAV = '2026-03-04-savannah-ga-victory-north';
+  const ATL = '2026-03-05-atlanta-ga-variety-playhouse';
+  const setlists = new Map([
+    [SAV, { songs: [{ name: 'Landing' }, { name: 'Julia' }, { name: 'Stay', encore: true }] }],
+    [ATL, { songs: [{ name: 'Kiwi' }, { name: 'Landing' }] }],
+  ]);
+  const picks = [
+    { sessionId: SAV, username: 'Andy', slot: 'Opener', value: 'Landing' },
+    { sessionId: SAV, username: 'Andy', slot: 'Encore', value: 'Stay' },
+    { sessionId: ATL, username: 'Andy', slot: 'Opener', value: 'Landing' },
+    { sessionId: SAV, username: 'Bo', slot: 'Opener', value: 'Julia' },
+    { sessionId: ATL, username: 'Bo', slot: 'Opener', value: 'Kiwi' },
+    { sessionId: ATL, username: 'Bo', slot: 'Song 2', value: 'Landing' },
+    { sessionId: ATL, username: 'cy', slot: 'Cover', value: 'Julia' },
+    { sessionId: 'no-setlist-yet', username: 'Dee', slot: 'Opener', value: 'Kiwi' },
+  ];
+
+  beforeEach(() => listShows(show(SAV), show(ATL, { city: 'Atlanta', venue: 'Variety Playhouse' })));
+
+  it('ranks players by points with shared ranks for full ties', () => {
+    const board = core.buildLeaderboard(picks, setlists);
+    assert.deepEqual(board.shows.map(s => s.id), [SAV, ATL]);
+    assert.deepEqual(board.standings.map(p => [p.rank, p.username, p.total, p.hits, p.shows]), [
+      [1, 'Andy', 7, 3, 2],
+      [1, 'Bo', 7, 3, 2],
+      [3, 'cy', 0, 0, 1],
+    ]);
+
+    const andy = board.standings[0];
+    assert.deepEqual(andy.best, { sessionId: SAV, title: core.tourDateTitle(show(SAV)), total: 6 });
+    assert.deepEqual(andy.bySlotType, {
+      Opener: { picks: 2, hits: 2, rate: 1 },
+      Encore: { picks: 1, hits: 1, rate: 1 },
+    });
+    assert.equal(andy.hitRate, 1);
+    assert.deepEqual(andy.nights.map(n => [n.sessionId, n.total]), [[SAV, 6], [ATL, 1]]);
+  });
+
+  it('breaks ties on the best night', () => {
+    // Eve matches Andy and Bo on points (7) and hits (3), but her best night is only 4
+    const withEve = [
+      ...picks,
+      { sessionId: SAV, username: 'Eve', slot: 'Song 2', value: 'Julia' },
+      { sessionId: SAV, username: 'Eve', slot: 'Opener', value: 'Stay' },
+      { sessionId: ATL, username: 'Eve', slot: 'Opener', value: 'Kiwi' },
+    ];
+    const board = core.buildLeaderboard(withEve, setlists);
+    assert.deepEqual(board.standings.map(p => [p.rank, p.username, p.total, p.best.total]), [
+      [1, 'Andy', 7, 6],
+      [1, 'Bo', 7, 6],
+      [3, 'Eve', 7, 4],
+      [4, 'cy', 0, 0],
+    ]);
+  });
+
+  it('filters by date range or tour leg and leaves out cancelled shows', () => {
+    let board = core.buildLeaderboard(picks, setlists, { to: '2026-03-04' });
+    assert.deepEqual(board.filters, { from: null, to: '2026-03-04', leg: null });
+    assert.deepEqual(board.standings.map(p => [p.username, p.total]), [['Andy', 6], ['Bo', 1]]);
+
+    board = core.buildLeaderboard(picks, setlists, { leg: 'winter-2026', from: '2026-03-05' });
+    assert.deepEqual(board.filters, { from: '2026-01-01', to: '2026-03-20', leg: 'winter-2026' });
+    assert.equal(board.shows.length, 2);
+
+    listShows(show(SAV), show(ATL, { cancelled: true }));
+    board = core.buildLeaderboard(picks, setlists);
+    assert.deepEqual(board.shows.map(s => s.id), [SAV]);
+  });
+});
+
+describe('pick lock', () => {
+  const utc = (date, time, timeZone) => core.zonedTime(date, time, timeZone).toISOString();
+
+  it('turns venue wall-clock time into the right instant with and without DST', () => {
+    assert.equal(utc('2026-07-10', '21:00', 'Pacific/Honolulu'), '2026-07-11T07:00:00.000Z');
+    assert.equal(utc('2026-01-15', '20:00', 'America/New_York'), '2026-01-16T01:00:00.000Z');
+    assert.equal(utc('2026-07-10', '20:00', 'America/New_York'), '2026-07-11T00:00:00.000Z');
+    assert.equal(utc('2026-07-10', '20:00', 'Europe/London'), '2026-07-10T19:00:00.000Z');
+    assert.equal(utc('2026-01-10', '20:00', 'Australia/Sydney'), '2026-01-10T09:00:00.000Z');
+    assert.equal(utc('2026-07-10', '20:00', 'Australia/Sydney'), '2026-07-10T10:00:00.000Z');
+  });
+
+  it('picks the right offset on the days the clocks change', () => {
+    // New York springs forward at 2am on Mar 8 2026 and falls back at 2am on Nov 1 2026
+    assert.equal(utc('2026-03-08', '01:30', 'America/New_York'), '2026-03-08T06:30:00.000Z');
+    assert.equal(utc('2026-03-08', '20:00', 'America/New_York'), '2026-03-09T00:00:00.000Z');
+    assert.equal(utc('2026-11-01', '20:00', 'America/New_York'), '2026-11-02T01:00:00.000Z');
+  });
+
+  it('locks unlisted dated sessions at the default start time', () => {
+    const SID = '2026-07-10-somewhere';
+    const lockAt = Date.parse('2026-07-11T00:00:00.000Z');
+    assert.deepEqual(core.sessionLock(SID, lockAt - 1), {
+      lockAt: '2026-07-11T00:00:00.000Z', startTime: '20:00', timeZone: 'America/New_York', locked: false,
+    });
+    assert.equal(core.sessionLock(SID, lockAt).locked, true);
+    assert.equal(core.sessionLock('free-play'), null);
+  });
+
+  it('uses a listed show\'s start time, time zone and (moved) date', () => {
+    const SID = '2026-07-10-honolulu-hi-blue-note-hawaii-late';
+    listShows(show(SID, { startTime: '21:00', timeZone: 'Pacific/Honolulu' }));
+    assert.equal(core.sessionLock(SID).lockAt, '2026-07-11T07:00:00.000Z');
+
+    listShows(show(SID, { date: '2026-07-12', startTime: '21:00', timeZone: 'Pacific/Honolulu' }));
+    assert.equal(core.sessionLock(SID).lockAt, '2026-07-13T07:00:00.000Z');
+  });
+
+  it('says when the show started in the venue\'s time zone', () => {
+    const lock = { lockAt: '2026-07-11T07:00:00.000Z', timeZone: 'Pacific/Honolulu' };
+    assert.match(core.lockMessage(lock), /^Picks are locked — this show started Jul 10, 9:00 PM HST\.$/);
+  });
+});
+
+describe('tour dates', () => {
+  const form = (fields) => ({ date: '2030-07-10', venue: 'Blue Note', city: 'Honolulu', ...fields });
+
+  it('takes real days only, for the end date too', () => {
+    assert.equal(core.cleanTourDate(form({ date: '2028-02-29' })).date, '2028-02-29');
+    for (const date of ['2030-13-45', '2030-02-30', '2030-04-31', '2030-7-10', '10/07/2030']) {
+      assert.throws(() => core.cleanTourDate(form({ date })), /^Error: date must be a real YYYY-MM-DD day$/, date);
+    }
+    assert.equal(core.cleanTourDate(form({ endDate: '2030-07-12' })).endDate, '2030-07-12');
+    assert.throws(() => core.cleanTourDate(form({ endDate: '2030-07-32' })), /endDate must be/);
+    assert.throws(() => core.cleanTourDate(form({ endDate: '2030-07-09' })), /endDate must be/);
+  });
+});
+
+describe('song matching', () => {
+  beforeEach(() => core.indexSongs([
+    { name: 'Funk E Zekial', aliases: ['FEZ'] },
+    { name: 'Burning Up My Time' },
+    { name: 'Landing' },
+    { name: 'Julia' },
+    { name: 'Julie' },
+    { name: 'Kiwi' },
+  ]));
+  const match = value => {
+    const m = core.matchSong(value);
+    return m && [m.song.name, m.via];
+  };
+
+  it('matches names and aliases ignoring case and punctuation', () => {
+    assert.deepEqual(match('funk-e-zekial!'), ['Funk E Zekial', 'name']);
+    assert.deepEqual(match('fez'), ['Funk E Zekial', 'alias']);
+    assert.equal(match('  '), null);
+  });
+
+  it('matches run-together spellings and small typos', () => {
+    assert.deepEqual(match('FunkEZekial'), ['Funk E Zekial', 'fuzzy']);
+    assert.deepEqual(match('Funk E Zekiel'), ['Funk E Zekial', 'fuzzy']);
+    assert.deepEqual(match('Lnding'), ['Landing', 'fuzzy']);
+    // longer titles get a second typo, but no more
+    assert.deepEqual(match('Burnin Up My Tme'), ['Burning Up My Time', 'fuzzy']);
+    assert.equal(match('Burnin Up Mi Tme'), null);
+  });
+
+  it('does not guess at short words or between equally close songs', () => {
+    assert.equal(match('Kiwo'), null);
+    assert.equal(match('Julio'), null);
+  });
+
+  it('takes real days only for a song\'s debut', () => {
+    assert.equal(core.cleanSong({ name: 'Landing', debut: '2012-02-29' }).debut, '2012-02-29');
+    assert.throws(() => core.cleanSong({ name: 'Landing', debut: '2026-02-31' }), /^Error: debut must be a real YYYY-MM-DD day$/);
+  });
+
+  it('scores aliases as the catalog song', () => {
+    assert.equal(core.songKey('FEZ'), 'funk e zekial');
+    assert.equal(core.songKey('Not In The Catalog'), 'not in the catalog');
+  });
+});
+
+describe('song stats', () => {
+  const SHOWS = ['2026-05-01-a', '2026-05-02-b', '2026-05-03-cancelled', '2026-05-04-d', '2026-05-05-no-setlist'];
+  const setlists = new Map([
+    [SHOWS[0], { songs: [{ name: 'Landing' }, { name: 'fez' }, { name: 'Landing', encore: true }] }],
+    [SHOWS[1], { songs: [{ name: 'Kiwi' }, { name: 'Stay', encore: true }] }],
+    [SHOWS[2], { songs: [{ name: 'Kiwi' }] }],
+    [SHOWS[3], { songs: [{ name: 'Stay' }, { name: 'Landing' }] }],
+  ]);
+
+  beforeEach(() => {
+    listShows(...SHOWS.map(id => show(id, { cancelled: id.endsWith('cancelled') })));
+    core.indexSongs([{ name: 'Landing' }, { name: 'Kiwi' }, { name: 'Stay' }, { name: 'Havana' }, { name: 'Funk E Zekial', aliases: ['FEZ'] }]);
+  });
+
+  it('counts plays, openers and encores once per show, skipping cancelled shows', () => {
+    const { shows, stats } = core.buildSongStats(setlists);
+    assert.equal(shows, 3);
+    assert.deepEqual(stats.map(s => [s.name, s.played, s.openers, s.encores, s.openerRate, s.encoreRate]), [
+      ['Funk E Zekial', 1, 0, 0, 0, 0],
+      ['Havana', 0, 0, 0, 0, 0],
+      ['Kiwi', 1, 1, 0, 1, 0],
+      ['Landing', 2, 1, 1, 0.5, 0.5],
+      ['Stay', 2, 1, 1, 0.5, 0.5],
+    ]);
+  });
+
+  it('knows when each song was first and last played and how many shows ago', () => {
+    const byName = new Map(core.buildSongStats(setlists).stats.map(s => [s.name, s]));
+    const when = name => {
+      const { firstPlayed, lastPlayed, lastSessionId, gap } = byName.get(name);
+      return [firstPlayed, lastPlayed, lastSessionId, gap];
+    };
+    assert.deepEqual(when('Landing'), ['2026-05-01', '2026-05-04', SHOWS[3], 0]);
+    assert.deepEqual(when('Kiwi'), ['2026-05-02', '2026-05-02', SHOWS[1], 1]);
+    assert.deepEqual(when('Funk E Zekial'), ['2026-05-01', '2026-05-01', SHOWS[0], 2]);
+    assert.deepEqual(when('Havana'), [null, null, null, null]);
+  });
+});
+
+describe('pick rules', () => {
+  const SHOWS = ['2026-05-01-a', '2026-05-02-b', '2026-05-03-c'];
+  const NEXT = '2026-05-04-d';
+  const setlists = new Map([
+    [SHOWS[0], { songs: [{ name: 'Moonshine' }, { name: 'Landing' }] }],
+    [SHOWS[1], { songs: [{ name: 'Landing' }] }],
+    [SHOWS[2], { songs: [{ name: 'Stay' }] }],
+  ]);
+  let statsCalls;
+  const songStats = async () => {
+    statsCalls++;
+    return core.buildSongStats(setlists);
+  };
+  const check = (board, slot, value, sessionId = NEXT) => core.pickRuleError(sessionId, board, slot, value, songStats);
+
+  beforeEach(() => {
+    statsCalls = 0;
+    listShows(...[...SHOWS, NEXT].map(id => show(id)));
+    core.indexSongs([{ name: 'Landing' }, { name: 'Stay' }, { name: 'Havana', cover: true }, { name: 'Funk E Zekial', aliases: ['FEZ'] }]);
+  });
+
+  it('allows one song per board, counting aliases and leaving the slot being changed out', async () => {
+    assert.equal(await check({ Opener: 'Funk E Zekial' }, 'Encore', 'fez'),
+      '"fez" is already your Opener pick — one song per board.');
+    assert.equal(await check({ Opener: 'Landing' }, 'Opener', 'Landing'), null);
+    assert.equal(await check({ Opener: 'Landing' }, 'Encore', 'Stay'), null);
+  });
+
+  it('only takes catalog covers in the Cover slot once the catalog flags any', async () => {
+    assert.equal(await check({}, 'Cover', 'Stay'), '"Stay" isn\'t a cover in the song list — Cover picks must be one.');
+    assert.equal(await check({}, 'Cover', 'Havana'), null);
+
+    core.indexSongs([{ name: 'Landing' }, { name: 'Stay' }]);
+    assert.equal(await check({}, 'Cover', 'Stay'), null);
+  });
+
+  it('needs a long enough gap for Bustout picks and only then looks at song stats', async () => {
+    await check({}, 'Opener', 'Stay');
+    assert.equal(statsCalls, 0);
+
+    assert.equal(await check({}, 'Bustout', 'Stay'),
+      '"Stay" was played at the last show — Bustout picks need a gap of more than 10 shows.');
+    assert.equal(await check({}, 'Bustout', 'Moonshine'),
+      '"Moonshine" was played 2 shows ago — Bustout picks need a gap of more than 10 shows.');
+    assert.equal(await check({}, 'Bustout', 'Havana'), null); // never played
+    assert.equal(statsCalls, 3);
+  });
+
+  it('follows the show\'s own rule overrides', async () => {
+    listShows(...SHOWS.map(id => show(id)), show(NEXT, {
+      festival: true,
+      pickRules: core.cleanPickRules({ noDuplicates: false, bustoutMinGap: 1 }),
+    }));
+    assert.equal(await check({ Opener: 'Landing' }, 'Encore', 'Landing'), null);
+    assert.equal(await check({}, 'Bustout', 'Moonshine'), null);
+    assert.match(await check({}, 'Bustout', 'Stay'), /gap of more than 1 show\.$/);
+
+    listShows(...SHOWS.map(id => show(id)), show(NEXT, { pickRules: core.cleanPickRules({ bustoutMinGap: '' }) }));
+    assert.equal(await check({}, 'Bustout', 'Stay'), null);
+  });
+
+  it('validates admin rule overrides', () => {
+    assert.equal(core.cleanPickRules(undefined), null);
+    assert.equal(core.cleanPickRules(''), null);
+    assert.deepEqual(core.cleanPickRules({ coversFromCatalog: 0 }), { noDuplicates: true, coversFromCatalog: false, bustoutMinGap: 10 });
+    assert.deepEqual(core.cleanPickRules({ bustoutMinGap: '4' }), { noDuplicates: true, coversFromCatalog: true, bustoutMinGap: 4 });
+    assert.throws(() => core.cleanPickRules([]), /must be an object/);
+    assert.throws(() => core.cleanPickRules({ bustoutMinGap: -1 }), /whole number/);
+    assert.throws(() => core.cleanPickRules({ bustoutMinGap: 2.5 }), /whole number/);
+  });
+});
+
+describe('consensus', () => {
+  const S1 = '2026-03-04-savannah-ga-victory-north';
+  const S2 = '2026-03-05-atlanta-ga-variety-playhouse';
+  const picks = [
+    { sessionId: S1, username: 'Andy', slot: 'Opener', value: 'Landing' },
+    { sessionId: S1, username: 'Bo', slot: 'Opener', value: 'landing ' },
+    { sessionId: S1, username: 'Cy', slot: 'Opener', value: 'Landing' },
+    { sessionId: S1, username: 'Dee', slot: 'Opener', value: 'FEZ' },
+    { sessionId: S1, username: 'Andy', slot: 'Encore', value: 'Stay' },
+    { sessionId: S1, username: 'Bo', slot: 'Encore', value: 'Stay' },
+    { sessionId: S1, username: 'Cy', slot: 'Encore', value: ' Kiwi' },
+    { sessionId: S2, username: 'Eve', slot: 'Opener', value: 'Landing' },
+  ];
+
+  beforeEach(() => core.indexSongs([{ name: 'Landing' }, { name: 'Stay' }, { name: 'Funk E Zekial', aliases: ['FEZ'] }]));
+
+  it('ranks the most-picked songs per slot with their share of boards', () => {
+    const consensus = core.buildConsensus(core.groupBoards(picks), ['Opener', 'Encore', 'Cover']);
+    assert.equal(consensus.boards, 5);
+    assert.deepEqual(consensus.slots, {
+      Opener: [
+        { song: 'Landing', count: 4, share: 0.8, players: ['Andy', 'Bo', 'Cy', 'Eve'] },
+        { song: 'Funk E Zekial', count: 1, share: 0.2, players: ['Dee'] },
+      ],
+      Encore: [
+        { song: 'Stay', count: 2, share: 0.4, players: ['Andy', 'Bo'] },
+        { song: 'Kiwi', count: 1, share: 0.2, players: ['Cy'] },
+      ],
+      Cover: [],
+    });
+  });
+
+  it('lists picks nobody else in the session made', () => {
+    const { unique } = core.buildConsensus(core.groupBoards(picks), ['Opener', 'Encore']);
+    assert.deepEqual(unique, [
+      { sessionId: S1, username: 'Dee', slot: 'Opener', song: 'Funk E Zekial' },
+      { sessionId: S1, username: 'Cy', slot: 'Encore', song: 'Kiwi' },
+    ]);
+  });
+
+  it('scores how far each player strays from the room, skipping players with nobody to compare to', () => {
+    const { players } = core.buildConsensus(core.groupBoards(picks), ['Opener', 'Encore']);
+    assert.deepEqual(players, [
+      { username: 'Dee', picks: 1, unique: 1, contrarian: 100 },
+      { username: 'Cy', picks: 2, unique: 1, contrarian: 67 },
+      { username: 'Andy', picks: 2, unique: 0, contrarian: 42 },
+      { username: 'Bo', picks: 2, unique: 0, contrarian: 42 },
+      { username: 'Eve', picks: 1, unique: 0, contrarian: null },
+    ]);
+  });
+});
+
+describe('setlist text', () => {
+  beforeEach(() => core.indexSongs([
+    { name: 'Landing' }, { name: 'Funk E Zekial', aliases: ['FEZ'] }, { name: 'Julia' },
+    { name: 'Havana', cover: true }, { name: 'Stay' },
+  ]));
+  const entry = (name, fields = {}) => ({ name, encore: false, cover: false, bustout: false, segue: false, set: 1, ...fields });
+
+  it('reads sets, the encore, segues and cover/bustout notes', () => {
+    const text = 'Set 1: lnding > FEZ*, Julia | Set 2: Kiwi -> Superstition (Stevie Wonder cover), Moonshine (bustout)^\nEncore: Havana, Stay';
+    assert.deepEqual(core.parseSetlistText(text), {
+      songs: [
+        entry('Landing'),
+        entry('Funk E Zekial', { segue: true }),
+        entry('Julia'),
+        entry('Kiwi', { set: 2 }),
+        entry('Superstition', { set: 2, segue: true, cover: true }),
+        entry('Moonshine', { set: 2, bustout: true }),
+        entry('Havana', { encore: true, cover: true, set: null }),
+        entry('Stay', { encore: true, set: null }),
+      ],
+      unmatched: ['Kiwi', 'Superstition', 'Moonshine'],
+    });
+  });
+
+  it('handles unlabelled lists, short encore labels and stray segue marks', () => {
+    const { songs, unmatched } = core.parseSetlistText('> Landing, Kiwi, Kiwi\nE: Stay');
+    assert.deepEqual(songs.map(s => [s.name, s.set, s.encore, s.segue]), [
+      ['Landing', 1, false, false],
+      ['Kiwi', 1, false, false],
+      ['Kiwi', 1, false, false],
+      ['Stay', null, true, false],
+    ]);
+    assert.deepEqual(unmatched, ['Kiwi']);
+    assert.deepEqual(core.parseSetlistText('  '), { songs: [], unmatched: [] });
+  });
+
+  it('refuses overlong setlists', () => {
+    const text = Array.from({ length: core.MAX_SETLIST_SONGS + 1 }, () => 'Stay').join(', ');
+    assert.throws(() => core.parseSetlistText(text), /Too many songs/);
+  });
+});
+
+describe('boards at lock', () => {
+  const LOCK = '2026-07-11T00:00:00.000Z';
+  const BEFORE = '2026-07-10T23:30:00.000Z';
+  const AFTER = '2026-07-11T00:30:00.000Z';
+  const log = (username, at, action, slot = null, value = null) => ({ username, at, action, slot, value });
+
+  it('rewinds picks set, cleared or wiped after lock', () => {
+    const userSongs = {
+      Andy: { Opener: 'Kiwi', Encore: 'Stay' },
+      Bo: {},
+      Cy: { Opener: 'Doc' },
+      Eve: { Opener: 'Julia' },
+    };
+    const history = [
+      log('Andy', BEFORE, 'set', 'Opener', 'Landing'),
+      log('Bo', BEFORE, 'set', 'Opener', 'Julia'),
+      log('Cy', BEFORE, 'set', 'Opener', 'Stay'),
+      log('Cy', BEFORE, 'set', 'Encore', 'Kiwi'),
+      log('Andy', AFTER, 'set', 'Opener', 'Kiwi'),
+      log('Andy', AFTER, 'set', 'Encore', 'Stay'),
+      log('Bo', AFTER, 'clear', 'Opener'),
+      log('Cy', AFTER, 'clear-all'),
+      log('Cy', AFTER, 'set', 'Opener', 'Doc'),
+      log('Eve', AFTER, 'set', 'Opener', 'Julia'),
+    ];
+    assert.deepEqual(core.boardsAtLock(userSongs, history, LOCK), {
+      Andy: { Opener: 'Landing' },
+      Bo: { Opener: 'Julia' },
+      Cy: { Opener: 'Stay', Encore: 'Kiwi' },
+    });
+    assert.deepEqual(userSongs.Andy, { Opener: 'Kiwi', Encore: 'Stay' });
+  });
+
+  it('replays clears from before lock', () => {
+    const history = [
+      log('Gus', BEFORE, 'set', 'Opener', 'Landing'),
+      log('Gus', BEFORE, 'clear-all'),
+      log('Gus', BEFORE, 'set', 'Encore', 'Stay'),
+      log('Gus', AFTER, 'set', 'Opener', 'Kiwi'),
+    ];
+    assert.deepEqual(core.boardsAtLock({ Gus: { Opener: 'Kiwi', Encore: 'Stay' } }, history, LOCK), { Gus: { Encore: 'Stay' } });
+  });
+
+  it('leaves boards with no changes after lock as they are', () => {
+    const userSongs = { Dee: { Opener: 'Havana' }, Fay: { Opener: 'Restored' } };
+    const history = [log('Fay', BEFORE, 'set', 'Opener', 'Landing')];
+    assert.deepEqual(core.boardsAtLock(userSongs, history, LOCK), userSongs);
+  });
+});
+
+describe('calendar feed and share cards', () => {
+  const SAV = '2026-03-04-savannah-ga-victory-north';
+  const RUN = '2026-12-30-new-york-ny-brooklyn-bowl';
+  const shows = () => [
+    core.withTitle(show(SAV)),
+    core.withTitle(show(RUN, {
+      endDate: '2027-01-01', venue: 'Brooklyn Bowl; Late, Late Show — Très Spécial New Year\'s Eve Run',
+      city: 'Brooklyn', region: 'NY', cancelled: true,
+    })),
+  ];
+  const calendar = () => {
+    listShows(...shows());
+    return core.tourCalendar(shows(), 'https://picks.example', new Date('2026-01-01T12:00:00Z'));
+  };
+  const events = ics => ics.replace(/\r\n /g, '').split('BEGIN:VEVENT').slice(1).map(e => e.split('\r\n'));
+
+  it('times single shows from the first set and runs as all-day events', () => {
+    const [single, run] = events(calendar());
+    assert.ok(single.includes('UID:2026-03-04-savannah-ga-victory-north@pigeons-setlist'));
+    assert.ok(single.includes('DTSTAMP:20260101T120000Z'));
+    assert.ok(single.includes('DTSTART:20260305T010000Z'));
+    assert.ok(single.includes('DTEND:20260305T040000Z'));
+    assert.ok(single.includes('URL:https://picks.example/session/2026-03-04-savannah-ga-victory-north'));
+    assert.ok(!single.includes('STATUS:CANCELLED'));
+
+    assert.ok(run.includes('DTSTART;VALUE=DATE:20261230'));
+    assert.ok(run.includes('DTEND;VALUE=DATE:20270102'));
+    assert.ok(run.includes('STATUS:CANCELLED'));
+  });
+
+  it('escapes text and folds long lines at 75 octets without splitting characters', () => {
+    const ics = calendar();
+    assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\n') && ics.endsWith('END:VCALENDAR\r\n'));
+    for (const line of ics.split('\r\n')) assert.ok(Buffer.byteLength(line) <= 75, line);
+    assert.ok(!ics.includes('�'));
+
+    const [, run] = events(ics);
+    assert.ok(run.includes('SUMMARY:Pigeons — Brooklyn Bowl\\; Late\\, Late Show — Très Spécial New Year\'s Eve Run'));
+    assert.ok(run.includes('LOCATION:Brooklyn Bowl\\; Late\\, Late Show — Très Spécial New Year\'s Eve Run\\, Brooklyn\\, NY'));
+    assert.ok(run.some(line => /^DESCRIPTION:.*\\nMake your setlist picks: https:\/\/picks\.example\/session\/2026-12-30-new-york-ny-brooklyn-bowl$/.test(line)));
+  });
+
+  it('draws a board card with escaped text and the score when there is one', () => {
+    const slots = core.slotTemplate('single-set').slots;
+    const card = { title: 'Victory North <Savannah>', username: 'Andy & "Bo"', slots, picks: { Opener: 'Stay <&>' } };
+
+    let svg = core.boardCardSvg(card);
+    assert.match(svg, /^<svg [^>]*width="1200" height="630"/);
+    assert.ok(svg.includes('Andy &amp; &quot;Bo&quot;&#39;s picks'));
+    assert.ok(svg.includes('Victory North &lt;Savannah&gt;'));
+    assert.ok(svg.includes('>Stay &lt;&amp;&gt;</text>'));
+    assert.ok(!svg.includes(' pts<'));
+
+    svg = core.boardCardSvg({ ...card, score: { total: 3, hits: 1, slots: { Opener: { result: 'exact', points: 3 } } } });
+    assert.ok(svg.includes('>3 pts</text>'));
+    assert.ok(svg.includes('>1 hit</text>'));
+    assert.ok(svg.includes('>Stay &lt;&amp;&gt;  +3</text>'));
+  });
+});
@@ -0,0 +1,766 @@
+// server.js over HTTP and socket.io, on the in-memory backend. One server for the file;
+// each test uses its own session ids (far in the future, so picks aren't locked).
+const crypto = require('crypto');
+
+const ADMIN_SALT = 'test-salt';
+process.env.DISABLE_DB = '1';
+process.env.ADMIN_SECRET = 'test-secret';
+process.env.ADMIN_USERS = `zaq:scrypt:${ADMIN_SALT}:${crypto.scryptSync('secret', ADMIN_SALT, 64).toString('hex')}`;
+process.env.TRUST_PROXY_HOPS = '1'; // rate limit tests pick their own address with X-Forwarded-For
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { io: connectSocket } = require('socket.io-client');
+
+const { server, io, api, ready } = require('../server');
+
+let base;
+let adminToken;
+const sockets = [];
+
+before(async () => {
+  await ready;
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+  adminToken = (await request('POST', '/admin/login', { body: { name: 'zaq', password: 'secret' } })).body.token;
+});
+
+after(() => {
+  for (const socket of sockets) socket.close();
+  io.close();
+});
+
+async function request(method, url, { body, headers = {}, admin = false } = {}) {
+  const res = await fetch(base + url, {
+    method,
+    headers: {
+      ...(body !== undefined && { 'content-type': 'application/json' }),
+      ...(admin && { authorization: `Bearer ${adminToken}` }),
+      ...headers,
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+  const type = res.headers.get('content-type') || '';
+  return { status: res.status, headers: res.headers, body: type.includes('json') ? await res.json() : await res.text() };
+}
+
+async function connect(headers = {}) {
+  const socket = connectSocket(base, { transports: ['websocket'], extraHeaders: headers, reconnection: false });
+  sockets.push(socket);
+  await new Promise((resolve, reject) => {
+    socket.once('connect', resolve);
+    socket.once('connect_error', reject);
+  });
+  return socket;
+}
+
+function emit(socket, event, payload) {
+  return socket.timeout(2000).emitWithAck(event, payload);
+}
+
+function nextEvent(socket, event) {
+  return new Promise(resolve => socket.once(event, resolve));
+}
+
+// A connected board; token is the device token when this join claimed the name. Each board
+// comes from its own address unless the test picks one, so claims don't share a limit.
+let lastAddress = 0;
+async function joinBoard(sessionId, username, { token, headers = { 'x-forwarded-for': `203.0.113.${++lastAddress}` } } = {}) {
+  const socket = await connect(headers);
+  const claimed = new Promise(resolve => socket.once('player-claimed', resolve));
+  const result = await emit(socket, 'join', { sessionId, username, token });
+  const claim = await Promise.race([claimed, new Promise(resolve => setImmediate(resolve, null))]);
+  return { socket, result, token: claim?.token || token };
+}
+
+function state(sessionId) {
+  return request('GET', `/session/${encodeURIComponent(sessionId)}/state`).then(res => res.body);
+}
+
+describe('setlists and scoring', () => {
+  const SID = '2030-05-01-scoring';
+
+  it('scores every board once an admin saves the setlist', async () => {
+    const { socket } = await joinBoard(SID, 'Andy');
+    await emit(socket, 'set-song', { slot: 'Opener', value: 'Landing' });
+    await emit(socket, 'set-song', { slot: 'Encore', value: 'Kiwi' });
+
+    const saved = await request('PUT', `/session/${SID}/setlist`, {
+      admin: true,
+      body: { songs: [{ name: 'Landing' }, { name: 'Julia' }, { name: 'Kiwi', encore: true }] },
+    });
+    assert.equal(saved.status, 200);
+
+    const { scores } = await state(SID);
+    assert.equal(scores.Andy.total, 6);
+    assert.deepEqual(scores.Andy.slots.Encore, { result: 'encore', points: 3 });
+  });
+
+  it('keeps setlist edits to admins and rejects bad setlists', async () => {
+    assert.equal((await request('PUT', `/session/${SID}/setlist`, { body: { songs: [] } })).status, 401);
+    const bad = await request('PUT', `/session/${SID}/setlist`, { admin: true, body: { songs: [{ name: '' }] } });
+    assert.equal(bad.status, 400);
+    assert.match(bad.body.error, /missing a name/);
+  });
+});
+
+describe('pick lock', () => {
+  const SID = '2020-01-01-locked';
+
+  it('turns away picks after the lock, in the ack when there is one', async () => {
+    const { socket, result } = await joinBoard(SID, 'Lou');
+    assert.equal(result.ok, true);
+    assert.equal((await state(SID)).users.length, 0); // late joiners only watch
+
+    const errors = [];
+    socket.on('error', message => errors.push(message));
+    const locked = nextEvent(socket, 'picks-locked');
+    const res = await emit(socket, 'set-song', { slot: 'Opener', value: 'Landing' });
+    assert.equal(res.ok, false);
+    assert.equal(res.locked, true);
+    assert.match(res.error, /^Picks are locked/);
+    assert.equal((await locked).locked, true);
+    assert.equal((await emit(socket, 'clear-all', {})).locked, true);
+
+    // older pages send no ack and get the message as 'error'
+    const error = nextEvent(socket, 'error');
+    socket.emit('set-song', { slot: 'Opener', value: 'Landing' });
+    assert.match(await error, /^Picks are locked/);
+    assert.equal(errors.length, 1);
+  });
+
+  it('turns away a write that was queued before the lock and reaches the store after it', async () => {
+    const created = await request('POST', '/admin/tour-dates', {
+      admin: true,
+      body: { date: '2030-06-04', venue: 'Queue Hall', city: 'Tulsa', region: 'OK' },
+    });
+    const QUEUED = created.body.tourDate.id;
+    const { socket } = await joinBoard(QUEUED, 'Quinn');
+
+    // hold the first write inside the board's queue while the show moves into the past
+    const { buildState } = api;
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    let started;
+    const entered = new Promise(resolve => { started = resolve; });
+    api.buildState = async (id) => {
+      api.buildState = buildState;
+      started();
+      await held;
+      return buildState(id);
+    };
+    try {
+      const first = emit(socket, 'set-song', { slot: 'Opener', value: 'Landing' });
+      await entered;
+      const second = emit(socket, 'set-song', { slot: 'Encore', value: 'Kiwi' });
+      await new Promise(resolve => setTimeout(resolve, 50)); // the second write is queued now
+      assert.equal((await request('PUT', `/admin/tour-dates/${QUEUED}`, { admin: true, body: { date: '2020-06-04' } })).status, 200);
+      release();
+
+      assert.equal((await first).ok, true);
+      const late = await second;
+      assert.deepEqual([late.ok, late.locked], [false, true]);
+    } finally {
+      api.buildState = buildState;
+      release();
+    }
+  });
+});
+
+describe('admin logins', () => {
+  it('lets only a logged-in admin edit the song library', async () => {
+    const song = { name: 'Admin Test Song', aliases: ['ATS'] };
+    assert.equal((await request('POST', '/songs', { body: song })).status, 401);
+    assert.equal((await request('POST', '/songs', { body: song, headers: { authorization: 'Bearer forged.token' } })).status, 401);
+
+    const saved = await request('POST', '/songs', { body: song, admin: true });
+    assert.equal(saved.status, 200);
+    assert.deepEqual(saved.body.song.aliases, ['ATS']);
+    assert.ok((await request('GET', '/songs')).body.songs.includes('Admin Test Song'));
+
+    assert.equal((await request('DELETE', '/songs?name=Admin%20Test%20Song')).status, 401);
+    assert.equal((await request('DELETE', '/songs?name=Admin%20Test%20Song', { admin: true })).status, 200);
+    assert.ok(!(await request('GET', '/songs')).body.songs.includes('Admin Test Song'));
+  });
+
+  it('turns away wrong passwords and signs admins in with a cookie', async () => {
+    const headers = { 'x-forwarded-for': '203.0.113.4' };
+    const wrong = await request('POST', '/admin/login', { headers, body: { name: 'zaq', password: 'nope' } });
+    assert.equal(wrong.status, 401);
+
+    const login = await request('POST', '/admin/login', { headers, body: { name: 'ZAQ', password: 'secret' } });
+    assert.equal(login.status, 200);
+    const cookie = login.headers.get('set-cookie').split(';')[0];
+    assert.deepEqual((await request('GET', '/admin/me', { headers: { cookie } })).body, { admin: 'zaq' });
+    assert.deepEqual((await request('GET', '/admin/me')).body, { admin: null });
+  });
+});
+
+describe('players', () => {
+  const SID = '2030-05-02-players';
+
+  it('renames a claimed player everywhere, and renaming to the same name changes nothing', async () => {
+    const { socket, token } = await joinBoard(SID, 'Rena');
+    await emit(socket, 'set-song', { slot: 'Opener', value: 'Landing' });
+    const rename = (newName, withToken = token) =>
+      request('POST', '/players/rename', { body: { username: 'Rena', token: withToken, newName } });
+
+    assert.equal((await rename('Someone', 'not-my-token')).status, 401);
+
+    const same = await rename('  Rena ');
+    assert.deepEqual([same.status, same.body], [200, { ok: true, username: 'Rena' }]);
+    let st = await state(SID);
+    assert.deepEqual(st.userSongs, { Rena: { Opener: 'Landing' } });
+    assert.equal(st.owner, 'Rena');
+
+    // a case-only change keeps the claim and moves the board
+    const recased = await rename('RENA');
+    assert.deepEqual([recased.status, recased.body], [200, { ok: true, username: 'RENA' }]);
+    st = await state(SID);
+    assert.deepEqual(st.userSongs, { RENA: { Opener: 'Landing' } });
+    assert.equal(st.owner, 'RENA');
+  });
+
+  it('keeps claimed names to the device that claimed them', async () => {
+    await joinBoard(SID, 'Claimy');
+    const socket = await connect();
+    const claimed = nextEvent(socket, 'name-claimed');
+    const res = await emit(socket, 'join', { sessionId: SID, username: 'claimy' });
+    assert.deepEqual(res, { ok: false, claimed: true });
+    assert.match((await claimed).message, /already claimed/);
+  });
+
+  it('turns away a burst of new-name claims from one address without saving them', async () => {
+    const headers = { 'x-forwarded-for': '198.51.100.20' };
+    let first;
+    for (let i = 0; i < 20; i++) {
+      const board = await joinBoard(SID, `Burst ${i}`, { headers });
+      assert.equal(board.result.ok, true);
+      first = first || board;
+    }
+
+    const socket = await connect(headers);
+    const refused = await emit(socket, 'join', { sessionId: SID, username: 'Burst 20' });
+    assert.equal(refused.rateLimited, true);
+    assert.ok(refused.retryAfter > 0 && refused.retryAfter <= 60);
+
+    // names already claimed still sign in, and the refused one is free for someone else
+    const again = await emit(socket, 'join', { sessionId: SID, username: 'Burst 0', token: first.token });
+    assert.equal(again.ok, true);
+    assert.equal((await joinBoard(SID, 'Burst 20')).result.ok, true);
+  });
+});
+
+describe('live updates', () => {
+  const SID = '2030-05-03-deltas';
+
+  it('sends the room a versioned delta per pick instead of the full state', async () => {
+    const andy = await joinBoard(SID, 'Dana');
+    const bo = await joinBoard(SID, 'Dell');
+    const fullStates = [];
+    bo.socket.on('update-session', st => fullStates.push(st));
+
+    const before = (await state(SID)).version;
+    let delta = nextEvent(bo.socket, 'session-delta');
+    await emit(andy.socket, 'set-song', { slot: 'Opener', value: 'Landing' });
+    assert.deepEqual(await delta, {
+      sessionId: SID, version: before + 1, type: 'pick-set', username: 'Dana', slot: 'Opener', value: 'Landing', rev: 1,
+    });
+
+    delta = nextEvent(bo.socket, 'session-delta');
+    await emit(andy.socket, 'clear-all', {});
+    assert.deepEqual(await delta, { sessionId: SID, version: before + 2, type: 'board-cleared', username: 'Dana' });
+    assert.equal(fullStates.length, 0);
+
+    // a client that saw a gap asks for everything again
+    const full = nextEvent(bo.socket, 'update-session');
+    bo.socket.emit('resync');
+    assert.equal((await full).version, before + 2);
+  });
+});
+
+describe('pick revisions', () => {
+  const SID = '2030-05-04-revisions';
+
+  it('turns away a stale write after the slot was cleared and picked again', async () => {
+    const tabA = await joinBoard(SID, 'Revy');
+    const tabB = await joinBoard(SID, 'Revy', { token: tabA.token });
+    const pick = (tab, value, baseRev) => emit(tab.socket, 'set-song', { slot: 'Opener', value, baseRev });
+
+    assert.equal((await pick(tabA, 'Landing', 0)).rev, 1);
+    assert.deepEqual(await pick(tabA, '', 1), { ok: true, slot: 'Opener', value: null, rev: 2 });
+    assert.equal((await pick(tabA, 'Julia', 2)).rev, 3);
+
+    // tab B (or an offline replay) last saw the first pick
+    const stale = await pick(tabB, 'Kiwi', 1);
+    assert.equal(stale.conflict, true);
+    assert.deepEqual([stale.value, stale.rev], ['Julia', 3]);
+    assert.deepEqual((await state(SID)).userSongs.Revy, { Opener: 'Julia' });
+  });
+
+  it('keeps counting through clear-all, and clearing an empty slot changes nothing', async () => {
+    const { socket } = await joinBoard(SID, 'Clara');
+    await emit(socket, 'set-song', { slot: 'Opener', value: 'Landing', baseRev: 0 });
+    await emit(socket, 'clear-all', {});
+    assert.deepEqual((await state(SID)).pickRevs.Clara, { Opener: 2 });
+
+    assert.equal((await emit(socket, 'set-song', { slot: 'Opener', value: 'Kiwi', baseRev: 1 })).conflict, true);
+    assert.deepEqual(await emit(socket, 'set-song', { slot: 'Encore', value: '', baseRev: 0 }), { ok: true, slot: 'Encore', value: null, rev: 0 });
+    assert.equal((await emit(socket, 'set-song', { slot: 'Opener', value: 'Kiwi', baseRev: 2 })).rev, 3);
+  });
+});
+
+describe('live show mode', () => {
+  const SID = '2030-05-05-live';
+
+  it('scores the room as songs are tapped in, and undoes mis-taps', async () => {
+    const player = await joinBoard(SID, 'Tapper');
+    await emit(player.socket, 'set-song', { slot: 'Opener', value: 'Landing' });
+    const watcher = await connect();
+    assert.deepEqual(await emit(watcher, 'watch', { sessionId: SID }), { ok: true });
+
+    let played = nextEvent(watcher, 'song-played');
+    const tap = await request('POST', `/session/${SID}/setlist/songs`, { admin: true, body: { name: 'landing' } });
+    assert.equal(tap.status, 200);
+    let event = await played;
+    assert.equal(event.action, 'played');
+    assert.equal(event.position, 1);
+    assert.equal(event.song.name, 'landing');
+    assert.equal(event.scores.Tapper.total, 3);
+
+    played = nextEvent(watcher, 'song-played');
+    assert.equal((await request('DELETE', `/session/${SID}/setlist/songs/last`, { admin: true })).status, 200);
+    event = await played;
+    assert.equal(event.action, 'undo');
+    assert.equal(event.setlist, null);
+    assert.equal((await request('DELETE', `/session/${SID}/setlist/songs/last`, { admin: true })).status, 404);
+  });
+
+  it('answers watch requests for ids that will not decode instead of crashing', async () => {
+    const watcher = await connect();
+    assert.deepEqual(await emit(watcher, 'watch', { sessionId: '%E0%A4%A' }), { ok: false, error: 'Invalid session' });
+    assert.deepEqual(await emit(watcher, 'watch', { sessionId: 'a%2Fb' }), { ok: false, error: 'Invalid session' });
+    assert.deepEqual(await emit(watcher, 'watch', { sessionId: SID }), { ok: true });
+  });
+});
+
+describe('slot templates', () => {
+  it('gives each listed show its own slots and re-renders open boards when they change', async () => {
+    const created = await request('POST', '/admin/tour-dates', {
+      admin: true,
+      body: { date: '2030-06-01', venue: 'Template Hall', city: 'Austin', region: 'TX', slotTemplate: 'two-sets' },
+    });
+    assert.equal(created.status, 201);
+    const SID = created.body.tourDate.id;
+
+    const { socket } = await joinBoard(SID, 'Tess');
+    const st = await state(SID);
+    assert.equal(st.template.id, 'two-sets');
+    assert.deepEqual(st.slots.map(s => s.name).slice(0, 3), ['Set 1 Opener', 'Set 1 Closer', 'Set 2 Opener']);
+    assert.equal((await emit(socket, 'set-song', { slot: 'Set 2 Opener', value: 'Kiwi' })).ok, true);
+    assert.deepEqual(await emit(socket, 'set-song', { slot: 'Song 2', value: 'Kiwi' }), { ok: false, error: 'Invalid slot "Song 2".' });
+
+    const updated = nextEvent(socket, 'update-session');
+    assert.equal((await request('PUT', `/admin/tour-dates/${SID}`, { admin: true, body: { slotTemplate: 'festival' } })).status, 200);
+    assert.deepEqual((await updated).slots.map(s => s.name), ['Opener', 'Closer', 'Anytime', 'Cover']);
+
+    assert.equal((await request('PUT', `/admin/tour-dates/${SID}`, { admin: true, body: { slotTemplate: 'nope' } })).status, 400);
+  });
+});
+
+describe('pick history', () => {
+  const SID = '2030-05-06-history';
+
+  it("shows anyone a board's history without saying who made each change", async () => {
+    const { socket } = await joinBoard(SID, 'Hedda');
+    await emit(socket, 'set-song', { slot: 'Opener', value: 'Landing' });
+    await emit(socket, 'set-song', { slot: 'Opener', value: 'Kiwi' });
+
+    const res = await request('GET', `/session/${SID}/history?username=Hedda`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.history.map(e => [e.action, e.slot, e.value]), [
+      ['set', 'Opener', 'Landing'],
+      ['set', 'Opener', 'Kiwi'],
+    ]);
+    assert.equal(res.body.history.some(e => 'by' in e), false);
+  });
+});
+
+describe('backup and restore', () => {
+  const SID = '2030-05-06-backup';
+
+  it('carries the pick history along, and restoring the same backup twice logs it once', async () => {
+    const { socket } = await joinBoard(SID, 'Barb');
+    await emit(socket, 'set-song', { slot: 'Opener', value: 'Landing' });
+    await emit(socket, 'set-song', { slot: 'Opener', value: '' });
+
+    const backup = (await request('GET', '/admin/backup', { admin: true })).body;
+    const session = backup.sessions.find(s => s.id === SID);
+    assert.deepEqual(session.history.map(e => e.action), ['set', 'clear']);
+
+    const RESTORED = '2030-05-06-restored';
+    const copy = { ...backup, sessions: [{ ...session, id: RESTORED }] };
+    const restored = await request('POST', '/admin/restore', { admin: true, body: copy });
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.restored.history, 2);
+    await request('POST', '/admin/restore', { admin: true, body: copy });
+
+    const history = (await request('GET', `/admin/pick-history?sessionId=${RESTORED}`, { admin: true })).body.history;
+    assert.deepEqual(history.map(e => [e.username, e.action, e.slot, e.value]), [
+      ['Barb', 'set', 'Opener', 'Landing'],
+      ['Barb', 'clear', 'Opener', null],
+    ]);
+
+    const LOOSE = '2030-05-06-loose-times';
+    const loose = { ...copy, sessions: [{ ...session, id: LOOSE, history: [{ username: 'Barb', action: 'set', slot: 'Opener', value: 'Kiwi', at: 'Oct 5 2026 12:00 GMT' }] }] };
+    assert.equal((await request('POST', '/admin/restore', { admin: true, body: loose })).status, 200);
+    const looseHistory = (await request('GET', `/admin/pick-history?sessionId=${LOOSE}`, { admin: true })).body.history;
+    assert.deepEqual(looseHistory.map(e => e.at), ['2026-10-05T12:00:00.000Z']);
+
+    const bad = { ...copy, sessions: [{ ...session, history: [{ username: 'Barb', action: 'nope', at: 'x' }] }] };
+    assert.equal((await request('POST', '/admin/restore', { admin: true, body: bad })).status, 400);
+  });
+
+  it('turns away tour dates, songs and players the admin forms would, and saves none of the backup', async () => {
+    const restore = body => request('POST', '/admin/restore', { admin: true, body: { format: 1, ...body } });
+    const junk = await restore({ tourDates: [{ id: 'junk' }] });
+    assert.equal(junk.status, 400);
+    assert.match(junk.body.error, /^Tour date junk: /);
+    assert.equal((await restore({ songs: [{ name: 'Junk', debut: 'soon' }] })).status, 400);
+    assert.equal((await restore({ players: [{ key: 'junk' }] })).status, 400);
+
+    assert.equal((await request('GET', '/sessions')).status, 200);
+    assert.equal((await request('GET', '/calendar.ics')).status, 200);
+  });
+});
+
+describe('session hosts', () => {
+  const SID = '2030-05-07-hosts';
+  let host;
+
+  before(async () => {
+    host = await joinBoard(SID, 'Hosta');
+    assert.equal((await state(SID)).owner, 'Hosta');
+  });
+
+  it('renames a board in place, case-only changes too, and turns away its own name', async () => {
+    const rosa = await joinBoard(SID, 'rosa');
+    await emit(rosa.socket, 'set-song', { slot: 'Opener', value: 'Landing' });
+    await emit(rosa.socket, 'set-song', { slot: 'Encore', value: 'Kiwi' });
+    await emit(rosa.socket, 'set-song', { slot: 'Encore', value: '' });
+
+    assert.deepEqual(await emit(host.socket, 'rename-board', { username: 'rosa', newName: 'rosa' }),
+      { ok: false, error: "That's already its name." });
+
+    const removed = nextEvent(rosa.socket, 'board-removed');
+    assert.deepEqual(await emit(host.socket, 'rename-board', { username: 'rosa', newName: ' Rosa ' }),
+      { ok: true, username: 'rosa', newName: 'Rosa' });
+    assert.equal((await removed).username, 'rosa');
+
+    const st = await state(SID);
+    assert.deepEqual(st.users.map(u => u.username), ['Hosta', 'Rosa']);
+    assert.deepEqual(st.userSongs.Rosa, { Opener: 'Landing' });
+    assert.deepEqual(st.pickRevs.Rosa, { Opener: 1, Encore: 2 });
+  });
+
+  it('merges one board into another and logs both sides under the host', async () => {
+    const dup = await joinBoard(SID, 'Dupe');
+    const main = await joinBoard(SID, 'Mainly');
+    await emit(dup.socket, 'set-song', { slot: 'Opener', value: 'Julia' });
+    await emit(dup.socket, 'set-song', { slot: 'Encore', value: 'Stay' });
+    await emit(main.socket, 'set-song', { slot: 'Opener', value: 'Landing' });
+
+    assert.deepEqual(await emit(host.socket, 'merge-boards', { from: 'Dupe', into: 'Mainly' }),
+      { ok: true, from: 'Dupe', into: 'Mainly', moved: 1 });
+    const st = await state(SID);
+    assert.equal(st.users.some(u => u.username === 'Dupe'), false);
+    assert.deepEqual(st.userSongs.Mainly, { Opener: 'Landing', Encore: 'Stay' });
+
+    const history = (await request('GET', `/admin/pick-history?sessionId=${SID}`, { admin: true })).body.history;
+    assert.deepEqual(history.filter(e => e.by === 'hosta').map(e => [e.username, e.action, e.slot]), [
+      ['Mainly', 'set', 'Encore'],
+      ['Dupe', 'clear-all', null],
+    ]);
+  });
+
+  it('logs a removed board as cleared by the host', async () => {
+    const gone = await joinBoard(SID, 'Goner');
+    await emit(gone.socket, 'set-song', { slot: 'Opener', value: 'Kiwi' });
+
+    assert.deepEqual(await emit(host.socket, 'remove-board', { username: 'Goner' }), { ok: true, removed: 'Goner' });
+    const history = (await request('GET', `/admin/pick-history?sessionId=${SID}&username=Goner`, { admin: true })).body.history;
+    assert.deepEqual(history.map(e => [e.action, e.by]), [['set', 'goner'], ['clear-all', 'hosta']]);
+  });
+
+  it('keeps scored boards once picks lock', async () => {
+    const created = await request('POST', '/admin/tour-dates', {
+      admin: true,
+      body: { date: '2030-06-02', venue: 'Lockout Hall', city: 'Denver', region: 'CO' },
+    });
+    const LOCKED = created.body.tourDate.id;
+    const owner = await joinBoard(LOCKED, 'Lockhost');
+    const rival = await joinBoard(LOCKED, 'Rival');
+    await emit(rival.socket, 'set-song', { slot: 'Opener', value: 'Landing' });
+
+    // the show moves into the past, so its picks are locked now
+    const moved = await request('PUT', `/admin/tour-dates/${LOCKED}`, { admin: true, body: { date: '2020-06-02' } });
+    assert.equal(moved.status, 200);
+    assert.deepEqual(await emit(owner.socket, 'remove-board', { username: 'Rival' }),
+      { ok: false, locked: true, error: 'Boards can\'t be removed once picks lock.' });
+    assert.deepEqual((await state(LOCKED)).users.map(u => u.username), ['Lockhost', 'Rival']);
+  });
+
+  it('keeps the host and board cap in backups and restores them', async () => {
+    assert.deepEqual(await emit(host.socket, 'set-max-boards', { maxBoards: 5 }), { ok: true, maxBoards: 5 });
+
+    const backup = (await request('GET', '/admin/backup', { admin: true })).body;
+    const session = backup.sessions.find(s => s.id === SID);
+    assert.deepEqual(session.settings, { owner: 'Hosta', maxBoards: 5 });
+
+    const RESTORED = '2030-05-07-restored';
+    const copy = { ...backup, sessions: [{ ...session, id: RESTORED }] };
+    assert.equal((await request('POST', '/admin/restore', { admin: true, body: copy })).status, 200);
+    const st = await state(RESTORED);
+    assert.deepEqual([st.owner, st.maxBoards], ['Hosta', 5]);
+
+    const bad = { ...copy, sessions: [{ ...session, settings: { owner: 'Hosta', maxBoards: 0 } }] };
+    assert.equal((await request('POST', '/admin/restore', { admin: true, body: bad })).status, 400);
+  });
+});
+
+describe('rate limits', () => {
+  const SID = '2030-05-08-limits';
+
+  it('limits joins per connection, not per address, and says when to retry', async () => {
+    const venue = { 'x-forwarded-for': '198.51.100.7' };
+    const { socket, token } = await joinBoard(SID, 'Lim', { headers: venue });
+    const rejoin = () => emit(socket, 'join', { sessionId: SID, username: 'Lim', token });
+    for (let i = 1; i < 10; i++) assert.equal((await rejoin()).ok, true);
+
+    const warned = nextEvent(socket, 'rate-limited');
+    const refused = await rejoin();
+    assert.equal(refused.rateLimited, true);
+    assert.ok(refused.retryAfter > 0 && refused.retryAfter <= 60);
+    assert.equal((await warned).event, 'join');
+
+    // the rest of the room behind the same address still gets in
+    assert.equal((await joinBoard(SID, 'Neighbour', { headers: venue })).result.ok, true);
+  });
+
+  it('turns away join ids that will not decode', async () => {
+    const socket = await connect();
+    assert.deepEqual(await emit(socket, 'join', { sessionId: '%E0%A4%A', username: 'Lim' }), { ok: false, error: 'Invalid session' });
+  });
+
+  it('answers /songs with 429 and Retry-After once an address runs over', async () => {
+    const headers = { 'x-forwarded-for': '198.51.100.8' };
+    for (let i = 0; i < 120; i++) assert.equal((await request('GET', '/songs', { headers })).status, 200);
+    const over = await request('GET', '/songs', { headers });
+    assert.equal(over.status, 429);
+    assert.ok(Number(over.headers.get('retry-after')) > 0);
+    assert.equal((await request('GET', '/songs', { headers: { 'x-forwarded-for': '198.51.100.9' } })).status, 200);
+  });
+
+  it('answers player renames and recovery codes with 429 once an address runs over', async () => {
+    const overLimit = async (url, body, limit, address) => {
+      const headers = { 'x-forwarded-for': address };
+      for (let i = 0; i < limit; i++) assert.notEqual((await request('POST', url, { body, headers })).status, 429);
+      const over = await request('POST', url, { body, headers });
+      assert.equal(over.status, 429);
+      assert.ok(Number(over.headers.get('retry-after')) > 0);
+      assert.notEqual((await request('POST', url, { body, headers: { 'x-forwarded-for': `${address}0` } })).status, 429);
+    };
+    const { token } = await joinBoard(SID, 'Renamer');
+    await overLimit('/players/rename', { username: 'Renamer', token, newName: 'Renamer' }, 10, '198.51.100.10');
+    await overLimit('/players/recover', { username: 'Renamer', recoveryCode: 'WRONG-CODE' }, 10, '198.51.100.11');
+  });
+});
+
+describe('share cards', () => {
+  const SID = '2030-05-09-cards';
+
+  it('previews a board with a PNG card and keeps the SVG one alongside', async () => {
+    const { socket } = await joinBoard(SID, 'Carda');
+    await emit(socket, 'set-song', { slot: 'Opener', value: 'Landing' });
+
+    const page = await request('GET', `/session/${SID}/u/Carda`);
+    assert.equal(page.status, 200);
+    const pngUrl = `/session/${SID}/u/Carda/card.png`;
+    assert.match(page.body, new RegExp(`<meta property="og:image" content="http://[^"]+${pngUrl}" />`));
+    assert.match(page.body, /<meta property="og:image:type" content="image\/png" \/>/);
+    assert.match(page.body, /<link rel="alternate" type="image\/svg\+xml" href="[^"]+\/card\.svg" \/>/);
+
+    const res = await fetch(base + pngUrl);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'image/png');
+    const png = Buffer.from(await res.arrayBuffer());
+    assert.deepEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    assert.deepEqual([png.readUInt32BE(16), png.readUInt32BE(20)], [1200, 630]); // IHDR
+
+    assert.equal((await fetch(`${base}/session/${SID}/u/Nobody/card.png`)).status, 404);
+  });
+});
+
+describe('dbcheck', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const Database = require('better-sqlite3');
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dbcheck-'));
+  });
+
+  after(() => {
+    delete process.env.SQLITE_PATH;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('only takes a read-only look at a configured SQLite file that is not in use', async () => {
+    const file = path.join(dir, 'spare.db');
+    const db = new Database(file);
+    db.pragma('user_version = 2');
+    db.close();
+    process.env.SQLITE_PATH = file;
+
+    const res = await request('GET', '/dbcheck?format=json');
+    assert.equal(res.status, 200);
+    const sqlite = res.body.backends.find(b => b.backend === 'sqlite');
+    assert.deepEqual([sqlite.active, sqlite.status], [false, 'SQLITE OK (schema 2)']);
+
+    // not migrated, not switched to WAL
+    const reopened = new Database(file, { readonly: true });
+    assert.equal(reopened.pragma('user_version', { simple: true }), 2);
+    assert.equal(reopened.pragma('journal_mode', { simple: true }), 'delete');
+    reopened.close();
+  });
+
+  it('fails the check for a missing file instead of creating it', async () => {
+    process.env.SQLITE_PATH = path.join(dir, 'missing.db');
+    const res = await request('GET', '/dbcheck');
+    assert.equal(res.status, 500);
+    assert.match(res.body, /^sqlite: DB FAIL: /m);
+    assert.equal(fs.existsSync(process.env.SQLITE_PATH), false);
+  });
+});
+
+// Value of one sample in a /metrics scrape (undefined when it isn't there)
+function metricValue(text, name, labels = '') {
+  const line = text.split('\n').find(l => l.startsWith(`${name}${labels} `));
+  return line === undefined ? undefined : Number(line.slice(line.lastIndexOf(' ') + 1));
+}
+
+describe('metrics', () => {
+  const SID = '2030-05-10-metrics';
+
+  it('reports room connections, socket events and store latency in Prometheus text format', async () => {
+    const created = await request('POST', '/admin/tour-dates', {
+      admin: true,
+      body: { date: '2030-06-03', venue: 'Metric Hall', city: 'Boise', region: 'ID' },
+    });
+    const LISTED = created.body.tourDate.id;
+    const first = await joinBoard(LISTED, 'Metra');
+    await joinBoard(LISTED, 'Metro');
+    await joinBoard(SID, 'Metrix');
+    const before = (await request('GET', '/metrics')).body;
+    await emit(first.socket, 'set-song', { slot: 'Opener', value: 'Landing' });
+
+    const res = await request('GET', '/metrics');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/plain;.* version=0\.0\.4/);
+    const text = res.body;
+    assert.match(text, /^# HELP pigeons_socket_connections .+\n# TYPE pigeons_socket_connections gauge$/m);
+    assert.equal(metricValue(text, 'pigeons_socket_connections', `{room="${LISTED}"}`), 2);
+    // sessions that aren't listed shows share one label
+    assert.equal(metricValue(text, 'pigeons_socket_connections', `{room="${SID}"}`), undefined);
+    assert.ok(metricValue(text, 'pigeons_socket_connections', '{room="other"}') >= 1);
+
+    const setSongs = t => metricValue(t, 'pigeons_socket_events_total', '{event="set-song"}') || 0;
+    assert.equal(setSongs(text) - setSongs(before), 1);
+
+    assert.match(text, /^# TYPE pigeons_api_call_duration_seconds histogram$/m);
+    const buckets = text.split('\n')
+      .filter(l => l.startsWith('pigeons_api_call_duration_seconds_bucket{method="upsertPick",'))
+      .map(l => Number(l.split(' ')[1]));
+    assert.equal(buckets.length, 12); // 11 bounds and +Inf
+    assert.deepEqual(buckets, [...buckets].sort((a, b) => a - b));
+    const count = metricValue(text, 'pigeons_api_call_duration_seconds_count', '{method="upsertPick"}');
+    assert.ok(count >= 1);
+    assert.equal(buckets.at(-1), count);
+  });
+});
+
+describe('logs', () => {
+  const SID = '2030-05-11-logs';
+
+  // JSON log lines written while fn runs (console.log and console.error both)
+  async function captureLogs(fn) {
+    const lines = [];
+    const { log, error } = console;
+    console.log = console.error = (line) => lines.push(JSON.parse(line));
+    try {
+      await fn();
+      await new Promise(resolve => setImmediate(resolve)); // request lines go out on 'finish'
+    } finally {
+      Object.assign(console, { log, error });
+    }
+    return lines;
+  }
+
+  it('gives each request line its id, method, path and status, and echoes the id', async () => {
+    let res;
+    const lines = await captureLogs(async () => {
+      res = await request('GET', '/songs', { headers: { 'x-request-id': 'req-logs-1' } });
+    });
+    assert.equal(res.headers.get('x-request-id'), 'req-logs-1');
+    const line = lines.find(l => l.tag === 'HTTP' && l.requestId === 'req-logs-1');
+    assert.deepEqual([line.level, line.method, line.path, line.status], ['info', 'GET', '/songs', 200]);
+  });
+
+  it('tags errors with the request that hit them', async () => {
+    const { listPickHistory } = api;
+    api.listPickHistory = () => { throw new Error('store down'); };
+    let res;
+    const lines = await captureLogs(async () => {
+      res = await request('GET', `/session/${SID}/history`, { headers: { 'x-request-id': 'req-logs-2' } });
+    }).finally(() => { api.listPickHistory = listPickHistory; });
+
+    assert.equal(res.status, 500);
+    const line = lines.find(l => l.tag === 'GET HISTORY');
+    assert.deepEqual([line.level, line.msg, line.requestId, line.path], ['error', 'store down', 'req-logs-2', `/session/${SID}/history`]);
+  });
+
+  it('tags socket errors with the socket, event and board, and counts them by tag', async () => {
+    const { socket } = await joinBoard(SID, 'Loggy');
+    const errors = t => metricValue(t, 'pigeons_errors_total', '{tag="SET-SONG"}') || 0;
+    const before = (await request('GET', '/metrics')).body;
+
+    const { upsertPick } = api;
+    api.upsertPick = () => { throw new Error('disk full'); };
+    let ack;
+    const lines = await captureLogs(async () => {
+      ack = await emit(socket, 'set-song', { slot: 'Opener', value: 'Landing' });
+    }).finally(() => { api.upsertPick = upsertPick; });
+
+    assert.deepEqual(ack, { ok: false, error: 'Save failed: disk full' });
+    const line = lines.find(l => l.tag === 'SET-SONG');
+    assert.deepEqual([line.socketId, line.event, line.sessionId, line.username], [socket.id, 'set-song', SID, 'Loggy']);
+    assert.equal(errors((await request('GET', '/metrics')).body) - errors(before), 1);
+  });
+});
+
+// Last: it empties the tour date list every test above may read
+describe('tour date seeding', () => {
+  it('seeds the presets once, so deleting every date sticks', async () => {
+    const listed = (await request('GET', '/admin/tour-dates', { admin: true })).body.tourDates;
+    assert.ok(listed.length > 0);
+    for (const { id } of listed) {
+      assert.equal((await request('DELETE', `/admin/tour-dates/${encodeURIComponent(id)}`, { admin: true })).status, 200);
+    }
+
+    // a restore reloads the tour dates from the store, like the periodic refresh
+    assert.equal((await request('POST', '/admin/restore', { admin: true, body: { format: 1 } })).status, 200);
+    assert.deepEqual((await request('GET', '/sessions')).body, []);
+  });
+});
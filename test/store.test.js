@@ -0,0 +1,436 @@
+// Backend conformance: every store behind `api` must behave the same.
+// Firestore runs against the emulator only:
+//   FIRESTORE_EMULATOR_HOST=localhost:8085 FIREBASE_PROJECT_ID=demo-test npm test
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createMemoryStore } = require('../db/memory');
+const { createSqliteStore } = require('../db/sqlite');
+const { createFirestoreStore } = require('../db/firestore');
+const { boardsAtLock } = require('../core');
+
+const EMULATOR = process.env.FIRESTORE_EMULATOR_HOST;
+const EMULATOR_PROJECT = process.env.FIREBASE_PROJECT_ID || 'demo-test';
+
+async function clearEmulator() {
+  const url = `http://${EMULATOR}/emulator/v1/projects/${EMULATOR_PROJECT}/databases/(default)/documents`;
+  const res = await fetch(url, { method: 'DELETE' });
+  if (!res.ok) throw new Error(`Emulator reset failed: HTTP ${res.status}`);
+}
+
+const BACKENDS = [
+  { name: 'memory', create: async () => createMemoryStore() },
+  { name: 'sqlite', create: async () => createSqliteStore({ file: ':memory:' }) },
+  {
+    name: 'firestore',
+    skip: !EMULATOR && 'set FIRESTORE_EMULATOR_HOST to run against the emulator',
+    create: async () => {
+      await clearEmulator();
+      return createFirestoreStore({ projectId: EMULATOR_PROJECT });
+    },
+  },
+];
+
+const SID = '2026-03-04-savannah-ga-victory-north-1';
+
+// Snapshot listeners fire asynchronously
+async function waitFor(check, ms = 5000) {
+  const until = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > until) throw new Error('timed out waiting for watcher');
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+}
+
+for (const backend of BACKENDS) {
+  describe(`${backend.name} store`, { skip: backend.skip }, () => {
+    let store;
+
+    beforeEach(async () => {
+      store?.close?.();
+      store = await backend.create();
+    });
+
+    after(() => store?.close?.());
+
+    it('starts a session with no boards', async () => {
+      await store.ensureSession(SID);
+      assert.deepEqual(await store.buildState(SID), { owner: null, users: [], userSongs: {}, pickRevs: {} });
+    });
+
+    it('lists joined users sorted case-insensitively', async () => {
+      await store.ensureSession(SID);
+      for (const u of ['zaq', 'Andy', 'bo']) await store.ensureUser(SID, u);
+      await store.ensureUser(SID, 'Andy');
+
+      const state = await store.buildState(SID);
+      assert.deepEqual(state.users.map(u => u.username), ['Andy', 'bo', 'zaq']);
+      assert.ok(state.users.every(u => u.socketId === null));
+    });
+
+    it('upserts, overwrites and deletes picks', async () => {
+      await store.ensureSession(SID);
+      await store.ensureUser(SID, 'Andy');
+      await store.upsertPick(SID, 'Andy', 'Opener', 'Landing');
+      await store.upsertPick(SID, 'Andy', 'Opener', 'Julia');
+      await store.upsertPick(SID, 'Andy', 'Encore', 'Stay');
+      await store.deletePick(SID, 'Andy', 'Encore');
+
+      assert.deepEqual((await store.buildState(SID)).userSongs, { Andy: { Opener: 'Julia' } });
+    });
+
+    it('stores a revision with each pick and keeps counting after the pick is cleared', async () => {
+      await store.ensureSession(SID);
+      await store.ensureUser(SID, 'Andy');
+      await store.upsertPick(SID, 'Andy', 'Opener', 'Landing', 1);
+      await store.upsertPick(SID, 'Andy', 'Opener', 'Julia', 2);
+      await store.upsertPick(SID, 'Andy', 'Encore', 'Stay');
+      await store.upsertPick(SID, 'Andy', 'Cover', 'Havana', 4);
+      await store.deletePick(SID, 'Andy', 'Cover', 5);
+      await store.upsertPick(SID, 'Andy', 'Bustout', 'Moonshine', 2);
+      await store.deletePick(SID, 'Andy', 'Bustout');
+
+      let state = await store.buildState(SID);
+      assert.deepEqual(state.userSongs, { Andy: { Opener: 'Julia', Encore: 'Stay' } });
+      assert.deepEqual(state.pickRevs, { Andy: { Opener: 2, Encore: 1, Cover: 5, Bustout: 3 } });
+      assert.deepEqual((await store.allPicks()).map(p => p.slot).sort(), ['Encore', 'Opener']);
+
+      await store.renameUser('Andy', 'Drew');
+      assert.deepEqual((await store.buildState(SID)).pickRevs, { Drew: { Opener: 2, Encore: 1, Cover: 5, Bustout: 3 } });
+
+      await store.clearBoard(SID, 'Drew');
+      state = await store.buildState(SID);
+      assert.deepEqual(state.userSongs, {});
+      assert.deepEqual(state.pickRevs, { Drew: { Opener: 3, Encore: 2, Cover: 5, Bustout: 3 } });
+
+      await store.removeUser(SID, 'Drew');
+      assert.deepEqual((await store.buildState(SID)).pickRevs, {});
+    });
+
+    it('lets a renamed board\'s picks, not its cleared slots, replace the target\'s', async () => {
+      await store.ensureSession(SID);
+      await store.upsertPick(SID, 'andy', 'Opener', 'Kiwi', 2);
+      await store.deletePick(SID, 'andy', 'Opener', 3);
+      await store.upsertPick(SID, 'andy', 'Encore', 'Stay', 4);
+      await store.upsertPick(SID, 'Andy', 'Opener', 'Julia', 1);
+      await store.upsertPick(SID, 'Andy', 'Encore', 'Doc', 1);
+
+      await store.renameUser('andy', 'Andy');
+      const state = await store.buildState(SID);
+      assert.deepEqual(state.userSongs, { Andy: { Opener: 'Julia', Encore: 'Stay' } });
+      assert.deepEqual(state.pickRevs, { Andy: { Opener: 1, Encore: 4 } });
+    });
+
+    it('clears only the caller\'s board', async () => {
+      await store.ensureSession(SID);
+      for (const u of ['Andy', 'Bo']) {
+        await store.ensureUser(SID, u);
+        await store.upsertPick(SID, u, 'Opener', 'Kiwi');
+        await store.upsertPick(SID, u, 'Song 2', 'Doc');
+      }
+      await store.clearBoard(SID, 'Andy');
+
+      const state = await store.buildState(SID);
+      assert.deepEqual(state.userSongs, { Bo: { 'Opener': 'Kiwi', 'Song 2': 'Doc' } });
+      assert.deepEqual(state.users.map(u => u.username), ['Andy', 'Bo']);
+    });
+
+    it('keeps sessions apart and lists every pick', async () => {
+      await store.ensureSession(SID);
+      await store.ensureSession('other');
+      await store.ensureUser(SID, 'Andy');
+      await store.ensureUser('other', 'Andy');
+      await store.upsertPick(SID, 'Andy', 'Opener', 'Kiwi');
+      await store.upsertPick('other', 'Andy', 'Opener', 'Doc');
+
+      assert.deepEqual((await store.buildState('other')).userSongs, { Andy: { Opener: 'Doc' } });
+
+      const picks = (await store.allPicks()).sort((a, b) => a.sessionId.localeCompare(b.sessionId));
+      assert.deepEqual(picks, [
+        { sessionId: SID, username: 'Andy', slot: 'Opener', value: 'Kiwi' },
+        { sessionId: 'other', username: 'Andy', slot: 'Opener', value: 'Doc' },
+      ]);
+    });
+
+    it('renames a player across sessions, overwriting the target\'s clashing picks', async () => {
+      for (const id of [SID, 'other', 'untouched']) await store.ensureSession(id);
+      await store.ensureUser(SID, 'andy');
+      await store.upsertPick(SID, 'andy', 'Opener', 'Kiwi');
+      await store.ensureUser('other', 'andy');
+      await store.upsertPick('other', 'andy', 'Encore', 'Stay');
+      await store.ensureUser('other', 'Andy');
+      await store.upsertPick('other', 'Andy', 'Encore', 'Julia');
+      await store.upsertPick('other', 'Andy', 'Cover', 'Havana');
+      await store.ensureUser('untouched', 'Bo');
+
+      const touched = await store.renameUser('andy', 'Andy');
+      assert.deepEqual([...touched].sort(), [SID, 'other'].sort());
+
+      assert.deepEqual((await store.buildState(SID)).userSongs, { Andy: { Opener: 'Kiwi' } });
+      const other = await store.buildState('other');
+      assert.deepEqual(other.users.map(u => u.username), ['Andy']);
+      assert.deepEqual(other.userSongs, { Andy: { Encore: 'Stay', Cover: 'Havana' } });
+      assert.deepEqual((await store.buildState('untouched')).users.map(u => u.username), ['Bo']);
+    });
+
+    it('leaves everything alone when a player is renamed to their own name', async () => {
+      await store.ensureSession(SID);
+      await store.ensureUser(SID, 'Andy');
+      await store.upsertPick(SID, 'Andy', 'Opener', 'Kiwi', 3);
+      await store.saveSessionSettings(SID, { owner: 'Andy', maxBoards: null });
+
+      assert.deepEqual([...await store.renameUser('Andy', 'Andy')], []);
+      assert.deepEqual(await store.buildState(SID), {
+        owner: 'Andy',
+        users: [{ socketId: null, username: 'Andy' }],
+        userSongs: { Andy: { Opener: 'Kiwi' } },
+        pickRevs: { Andy: { Opener: 3 } },
+      });
+    });
+
+    it('hands hosting over when a player is renamed', async () => {
+      for (const id of [SID, 'other']) await store.ensureSession(id);
+      await store.ensureUser(SID, 'Andy');
+      await store.ensureUser(SID, 'Bo');
+      await store.saveSessionSettings(SID, { owner: 'Andy', maxBoards: 8 });
+      await store.ensureUser('other', 'Bo');
+      await store.saveSessionSettings('other', { owner: 'Bo', maxBoards: null });
+
+      const touched = await store.renameUser('Andy', 'Drew');
+      assert.deepEqual([...touched], [SID]);
+      assert.deepEqual(await store.getSessionSettings(SID), { owner: 'Drew', maxBoards: 8 });
+      assert.equal((await store.buildState(SID)).owner, 'Drew');
+      assert.deepEqual(await store.getSessionSettings('other'), { owner: 'Bo', maxBoards: null });
+    });
+
+    it('renames one session\'s board, revisions and hosting included, and leaves the rest', async () => {
+      for (const id of [SID, 'other']) await store.ensureSession(id);
+      await store.ensureUser(SID, 'andy');
+      await store.upsertPick(SID, 'andy', 'Opener', 'Kiwi', 3);
+      await store.upsertPick(SID, 'andy', 'Encore', 'Stay', 1);
+      await store.deletePick(SID, 'andy', 'Encore', 2);
+      await store.saveSessionSettings(SID, { owner: 'andy', maxBoards: 8 });
+      await store.ensureUser('other', 'andy');
+      await store.upsertPick('other', 'andy', 'Opener', 'Julia', 1);
+
+      await store.renameBoard(SID, 'andy', 'Andy');
+      assert.deepEqual(await store.buildState(SID), {
+        owner: 'Andy',
+        users: [{ socketId: null, username: 'Andy' }],
+        userSongs: { Andy: { Opener: 'Kiwi' } },
+        pickRevs: { Andy: { Opener: 3, Encore: 2 } },
+      });
+      assert.deepEqual((await store.buildState('other')).userSongs, { andy: { Opener: 'Julia' } });
+
+      await store.renameBoard(SID, 'Andy', 'Andy');
+      assert.deepEqual((await store.buildState(SID)).pickRevs, { Andy: { Opener: 3, Encore: 2 } });
+    });
+
+    it('lists every session, including ones without boards', async () => {
+      for (const id of ['other', SID]) await store.ensureSession(id);
+      await store.upsertPick('picks-only', 'Andy', 'Opener', 'Kiwi');
+      assert.deepEqual(await store.listSessions(), [SID, 'other', 'picks-only'].sort());
+    });
+
+    it('hands out an unsubscribe function for live session changes', async () => {
+      await store.ensureSession(SID);
+      const unwatch = store.watchSession(SID, () => {});
+      assert.equal(typeof unwatch, 'function');
+      unwatch();
+    });
+
+    it('streams pick and user changes to session watchers', {
+      skip: backend.name !== 'firestore' && 'single-process stores have no other writers to watch',
+    }, async () => {
+      await store.ensureSession(SID);
+      const changes = [];
+      const unwatch = store.watchSession(SID, c => { if (c.type !== 'setlist') changes.push(c); });
+
+      try {
+        await store.ensureUser(SID, 'Andy');
+        await waitFor(() => changes.length === 1);
+        await store.upsertPick(SID, 'Andy', 'Opener', 'Kiwi');
+        await waitFor(() => changes.length === 2);
+        await store.deletePick(SID, 'Andy', 'Opener');
+        await waitFor(() => changes.length === 3);
+      } finally {
+        unwatch();
+      }
+
+      assert.deepEqual(changes, [
+        { type: 'user-joined', username: 'Andy' },
+        { type: 'pick-set', username: 'Andy', slot: 'Opener', value: 'Kiwi', rev: 1 },
+        { type: 'pick-cleared', username: 'Andy', slot: 'Opener', rev: 2 },
+      ]);
+    });
+
+    it('saves, replaces and deletes player claims', async () => {
+      const rec = { key: 'andy', name: 'Andy', tokenHashes: ['abc'], recoveryHash: 'scrypt:x:y' };
+      assert.equal(await store.getPlayer('andy'), null);
+
+      await store.savePlayer(rec);
+      await store.savePlayer({ ...rec, tokenHashes: ['def', 'abc'] });
+      assert.deepEqual(await store.getPlayer('andy'), { ...rec, tokenHashes: ['def', 'abc'] });
+
+      await store.deletePlayer('andy');
+      assert.equal(await store.getPlayer('andy'), null);
+    });
+
+    it('lists player claims', async () => {
+      const andy = { key: 'andy', name: 'Andy', tokenHashes: ['abc'], recoveryHash: 'scrypt:x:y' };
+      const bo = { key: 'bo', name: 'Bo', tokenHashes: [], recoveryHash: 'scrypt:z:w' };
+      assert.deepEqual(await store.listPlayers(), []);
+
+      await store.savePlayer(bo);
+      await store.savePlayer(andy);
+      const players = await store.listPlayers();
+      assert.deepEqual(players.sort((a, b) => a.key.localeCompare(b.key)), [andy, bo]);
+    });
+
+    it('remembers one-off markers', async () => {
+      assert.equal(await store.hasMarker('tour-dates-seeded'), false);
+      await store.setMarker('tour-dates-seeded');
+      await store.setMarker('tour-dates-seeded');
+      assert.equal(await store.hasMarker('tour-dates-seeded'), true);
+      assert.equal(await store.hasMarker('something-else'), false);
+    });
+
+    it('stores, lists and deletes setlists', async () => {
+      const setlist = {
+        songs: [{ name: 'Landing', encore: false, cover: false, bustout: false }],
+        updatedAt: '2026-03-05T03:00:00.000Z',
+      };
+      assert.equal(await store.getSetlist(SID), null);
+
+      await store.saveSetlist(SID, setlist);
+      assert.deepEqual(await store.getSetlist(SID), setlist);
+      assert.deepEqual([...(await store.listSetlists())], [[SID, setlist]]);
+
+      await store.deleteSetlist(SID);
+      assert.equal(await store.getSetlist(SID), null);
+      assert.equal((await store.listSetlists()).size, 0);
+    });
+
+    it('saves, replaces and deletes tour dates', async () => {
+      const rec = { id: SID, date: '2026-03-04', venue: 'Victory North', city: 'Savannah', cancelled: false };
+      await store.saveTourDate(rec);
+      await store.saveTourDate({ ...rec, cancelled: true });
+      assert.deepEqual(await store.listTourDates(), [{ ...rec, cancelled: true }]);
+
+      await store.deleteTourDate(SID);
+      assert.deepEqual(await store.listTourDates(), []);
+    });
+
+    it('keeps a sorted song catalog keyed by name', async () => {
+      const funk = { name: 'Funk E Zekial', aliases: ['Funk-E-Zekial'], cover: false, originalArtist: null, debut: '2019-05-01' };
+      const bag = { name: 'AC/DC Bag', aliases: [], cover: true, originalArtist: 'Phish', debut: null };
+      for (const rec of [{ name: 'Stay' }, funk, bag]) await store.saveSong(rec);
+      await store.saveSong({ ...funk, aliases: ['Funk-E-Zekial', 'FEZ'] });
+
+      assert.deepEqual(await store.listSongs(), [bag, { ...funk, aliases: ['Funk-E-Zekial', 'FEZ'] }, { name: 'Stay' }]);
+
+      assert.equal(await store.deleteSong('Stay'), 1);
+      assert.equal(await store.deleteSong('Stay'), 0);
+      assert.deepEqual((await store.listSongs()).map(s => s.name), ['AC/DC Bag', 'Funk E Zekial']);
+    });
+
+    it('saves, updates and dismisses pending song suggestions', async () => {
+      assert.equal(await store.getSongSuggestion('moonshine'), null);
+      const rec = { key: 'moonshine', name: 'Moonshine', count: 1, lastSessionId: SID, firstSeenAt: 'a', lastSeenAt: 'a' };
+      await store.saveSongSuggestion(rec);
+      await store.saveSongSuggestion({ ...rec, count: 2, lastSeenAt: 'b' });
+
+      assert.deepEqual(await store.getSongSuggestion('moonshine'), { ...rec, count: 2, lastSeenAt: 'b' });
+      assert.deepEqual(await store.listSongSuggestions(), [{ ...rec, count: 2, lastSeenAt: 'b' }]);
+
+      await store.deleteSongSuggestion('moonshine');
+      assert.deepEqual(await store.listSongSuggestions(), []);
+    });
+
+    it('removes one board and keeps a host and board cap per session', async () => {
+      await store.ensureSession(SID);
+      assert.deepEqual(await store.getSessionSettings(SID), { owner: null, maxBoards: null });
+      await store.upsertPick(SID, 'Andy', 'Opener', 'Cliffs');
+      await store.upsertPick(SID, 'asdf', 'Opener', 'Stay');
+      await store.saveSessionSettings(SID, { owner: 'Andy', maxBoards: 8 });
+
+      await store.removeUser(SID, 'asdf');
+      const state = await store.buildState(SID);
+      assert.equal(state.owner, 'Andy');
+      assert.deepEqual(state.users.map(u => u.username), ['Andy']);
+      assert.deepEqual(state.userSongs, { Andy: { Opener: 'Cliffs' } });
+      assert.deepEqual(await store.getSessionSettings(SID), { owner: 'Andy', maxBoards: 8 });
+
+      await store.saveSessionSettings(SID, { owner: null, maxBoards: null });
+      assert.deepEqual(await store.getSessionSettings(SID), { owner: null, maxBoards: null });
+    });
+
+    it('keeps an append-only pick history filterable by session and user', async () => {
+      const OTHER = '2026-03-05-atlanta-ga-variety-1';
+      await store.appendPickHistory({ sessionId: SID, username: 'Andy', action: 'set', slot: 'Opener', value: 'Cliffs', at: '2026-03-04T20:00:00.000Z', by: 'andy' });
+      await store.appendPickHistory({ sessionId: SID, username: 'bo', action: 'set', slot: 'Encore', value: 'Stay', at: '2026-03-04T20:01:00.000Z' });
+      await store.appendPickHistory({ sessionId: SID, username: 'Andy', action: 'clear-all', at: '2026-03-04T20:02:00.000Z', by: 'andy' });
+      await store.appendPickHistory({ sessionId: OTHER, username: 'Andy', action: 'clear', slot: 'Opener', at: '2026-03-05T20:00:00.000Z' });
+
+      assert.deepEqual(await store.listPickHistory({ sessionId: SID, username: 'Andy' }), [
+        { sessionId: SID, username: 'Andy', action: 'set', slot: 'Opener', value: 'Cliffs', at: '2026-03-04T20:00:00.000Z', by: 'andy' },
+        { sessionId: SID, username: 'Andy', action: 'clear-all', slot: null, value: null, at: '2026-03-04T20:02:00.000Z', by: 'andy' },
+      ]);
+      assert.deepEqual((await store.listPickHistory({ sessionId: SID })).map(e => e.username), ['Andy', 'bo', 'Andy']);
+      assert.deepEqual((await store.listPickHistory({ username: 'Andy' })).map(e => e.sessionId), [SID, SID, OTHER]);
+      assert.equal((await store.listPickHistory()).length, 4);
+    });
+
+    it('moves a renamed board\'s pick history with it, so a locked show still rewinds it', async () => {
+      const OTHER = '2026-03-05-atlanta-ga-variety-1';
+      const LOCK = '2026-03-05T00:00:00.000Z';
+      const pick = async (id, username, value, rev, at) => {
+        await store.ensureUser(id, username);
+        await store.upsertPick(id, username, 'Opener', value, rev);
+        await store.appendPickHistory({ sessionId: id, username, action: 'set', slot: 'Opener', value, at });
+      };
+      await store.ensureSession(SID);
+      await store.ensureSession(OTHER);
+      await pick(SID, 'Andy', 'Cliffs', 1, '2026-03-04T20:00:00.000Z');
+      await pick(SID, 'Andy', 'Stay', 2, '2026-03-05T01:00:00.000Z'); // after lock
+      await pick(OTHER, 'bo', 'Kiwi', 1, '2026-03-04T20:00:00.000Z');
+
+      await store.renameUser('Andy', 'Drew');
+      await store.renameBoard(OTHER, 'bo', 'Bo');
+
+      const history = await store.listPickHistory({ sessionId: SID });
+      assert.deepEqual(history.map(e => e.username), ['Drew', 'Drew']);
+      const { userSongs } = await store.buildState(SID);
+      assert.deepEqual(boardsAtLock(userSongs, history, LOCK), { Drew: { Opener: 'Cliffs' } });
+      assert.deepEqual((await store.listPickHistory({ sessionId: OTHER })).map(e => e.username), ['Bo']);
+    });
+
+    it('answers a health check', async () => {
+      assert.match(await store.ping(), /OK$/);
+    });
+  });
+}
+
+describe('sqlite migrations', () => {
+  it('upgrade the bundled data.db in place and keep its picks', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pigeons-'));
+    const file = path.join(dir, 'data.db');
+    fs.copyFileSync(path.join(__dirname, '..', 'data.db'), file);
+
+    try {
+      const store = createSqliteStore({ file });
+      const state = store.buildState('2025-12-19-port-chester-ny-capitol-1');
+      assert.deepEqual(state.users.map(u => u.username), ['Andy']);
+      assert.equal(state.userSongs.Andy.Opener, 'Cliffs');
+      store.close();
+
+      // reopening must not re-run anything
+      createSqliteStore({ file }).close();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});